@@ -0,0 +1,165 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const stream = require('stream');
+const copydir = require('copy-dir');
+const plist = require('plist');
+
+/*
+Replays recorded tool output from a directory so extract can run without a device
+attached. The fixture directory uses the same layout as an extraction's artifacts
+directory, so a previous extraction can be used as-is:
+
+  ideviceinfo.xml, ideviceinfo-<domain>.xml   replayed for deviceInfo
+  installed-apps.xml                          replayed for listApps
+  pprofiles/                                  copied for copyProvisioningProfiles
+  crash_reports/crashlogs.txt + files         replayed/copied for crashReports
+  backup/backup_log.txt + files               replayed/copied for backup
+  profiles/installed-profiles.json            replayed for configurationProfiles
+  syslog.txt                                  replayed for syslog
+
+Optional extras:
+  idevice_id.txt    output for listDevices, otherwise UniqueDeviceID from ideviceinfo.xml is used
+  exit-codes.json   exit code overrides keyed by method name, e.g. { "listApps": 1 }
+*/
+function create (options) {
+  const fixtureDir = options.fixtureDir;
+  if (!fixtureDir || !fs.existsSync(fixtureDir)) {
+    throw new Error('Fixture backend needs an existing fixture directory, use --fixture-dir <dir>');
+  }
+
+  let exitCodes = {};
+  const exitCodesFile = path.join(fixtureDir, 'exit-codes.json');
+  if (fs.existsSync(exitCodesFile)) {
+    exitCodes = JSON.parse(fs.readFileSync(exitCodesFile, 'utf8'));
+  }
+
+  function exitCodeFor (method, file) {
+    if (method in exitCodes) {
+      return exitCodes[method];
+    }
+    // a missing recording is treated like the tool failing
+    return (file === null || fs.existsSync(file)) ? 0 : 1;
+  }
+
+  function copyRecording (srcDir, destDir, skipFile) {
+    if (fs.existsSync(srcDir)) {
+      copydir.sync(srcDir, destDir, function (type, filepath, filename) {
+        return filename !== skipFile;
+      });
+    }
+  }
+
+  return {
+    name: 'fixture',
+
+    listDevices: function () {
+      const udidFile = path.join(fixtureDir, 'idevice_id.txt');
+      if (fs.existsSync(udidFile)) {
+        return replay(udidFile, exitCodeFor('listDevices', udidFile));
+      }
+      let udid = '';
+      try {
+        const deviceInfo = plist.parse(fs.readFileSync(path.join(fixtureDir, 'ideviceinfo.xml'), 'utf8'));
+        udid = deviceInfo.UniqueDeviceID + '\n';
+      } catch (err) {
+        // no udid available, listDevices output will be empty just like idevice_id
+      }
+      return replay(null, exitCodeFor('listDevices', null), udid);
+    },
+
+    deviceInfo: function (udid, domain) {
+      let filename = 'ideviceinfo.xml';
+      if (domain !== '') {
+        filename = 'ideviceinfo-' + domain + '.xml';
+      }
+      const file = path.join(fixtureDir, filename);
+      return replay(file, exitCodeFor('deviceInfo', file));
+    },
+
+    listApps: function (udid) {
+      const file = path.join(fixtureDir, 'installed-apps.xml');
+      return replay(file, exitCodeFor('listApps', file));
+    },
+
+    copyProvisioningProfiles: function (udid, destDir) {
+      const srcDir = path.join(fixtureDir, 'pprofiles');
+      copyRecording(srcDir, destDir, 'ideviceprovision.log');
+      return replay(path.join(srcDir, 'ideviceprovision.log'), exitCodeFor('copyProvisioningProfiles', srcDir));
+    },
+
+    crashReports: function (udid, destDir) {
+      const srcDir = path.join(fixtureDir, 'crash_reports');
+      copyRecording(srcDir, destDir, 'crashlogs.txt');
+      return replay(path.join(srcDir, 'crashlogs.txt'), exitCodeFor('crashReports', srcDir));
+    },
+
+    backup: function (udid, destDir) {
+      const srcDir = path.join(fixtureDir, 'backup');
+      copyRecording(srcDir, destDir, 'backup_log.txt');
+      return replay(path.join(srcDir, 'backup_log.txt'), exitCodeFor('backup', srcDir));
+    },
+
+    configurationProfiles: function (udid) {
+      const file = path.join(fixtureDir, 'profiles', 'installed-profiles.json');
+      return replay(file, exitCodeFor('configurationProfiles', file));
+    },
+
+    syslog: function (udid, opts) {
+      const file = path.join(fixtureDir, 'syslog.txt');
+      return replay(file, exitCodeFor('syslog', file));
+    }
+  };
+}
+
+// build a fake child process whose stdout replays a file (or a string) and which
+// emits close with exitCode once stdout has been fully read or kill() is called
+function replay (file, exitCode, output) {
+  const proc = new EventEmitter();
+  let source = null;
+  let closed = false;
+
+  proc.stdout = new stream.PassThrough();
+  proc.stdout.on('end', function () {
+    if (!closed) {
+      closed = true;
+      setImmediate(function () {
+        proc.emit('close', exitCode);
+      });
+    }
+  });
+
+  // stdout can be ended by the recording running out or by kill(), only end it once
+  let ended = false;
+  function endStdout () {
+    if (!ended) {
+      ended = true;
+      proc.stdout.end();
+    }
+  }
+
+  if (file && fs.existsSync(file)) {
+    source = fs.createReadStream(file);
+    source.on('end', endStdout);
+    source.pipe(proc.stdout, { end: false });
+  } else {
+    proc.stdout.write(output || '');
+    endStdout();
+  }
+
+  proc.kill = function () {
+    if (source) {
+      source.unpipe(proc.stdout);
+      source.destroy();
+    }
+    endStdout();
+  };
+
+  return proc;
+}
+
+module.exports = {
+  create: create
+};
@@ -0,0 +1,43 @@
+'use strict';
+
+const path = require('path');
+
+// a backend wraps the tools used to talk to a device. Every backend module exports
+// create(options) which returns an object with the methods below. Each method returns
+// a child process (or something that looks like one): a `stdout` stream, a `close`
+// event with the exit code and a `kill()` function.
+//
+//   listDevices()                            idevice_id -l style output, one UDID per line
+//   deviceInfo(udid, domain)                 lockdown plist (xml) for the domain, '' for the default
+//   listApps(udid)                           installed apps plist (xml)
+//   copyProvisioningProfiles(udid, destDir)  writes .mobileprovision files to destDir
+//   crashReports(udid, destDir)              writes crash reports and logs to destDir
+//   backup(udid, destDir)                    writes a full device backup to destDir
+//   syslog(udid, opts)                       streams the device syslog until killed or opts.timeout
+//
+// optional methods, skipped when a backend doesn't have them:
+//
+//   configurationProfiles(udid)              installed configuration profiles (JSON) from the
+//                                            device's profile service
+const BUILTIN_BACKENDS = ['libimobiledevice', 'fixture'];
+const DEFAULT_BACKEND = 'libimobiledevice';
+
+function create (name, options) {
+  let backendModule = null;
+  if (!name) {
+    name = DEFAULT_BACKEND;
+  }
+  if (BUILTIN_BACKENDS.indexOf(name) !== -1) {
+    backendModule = require(path.join(__dirname, name + '.js'));
+  } else {
+    // not a built-in so treat it as a path to a team supplied backend module
+    backendModule = require(path.resolve(name));
+  }
+  return backendModule.create(options || {});
+}
+
+module.exports = {
+  BUILTIN_BACKENDS: BUILTIN_BACKENDS,
+  DEFAULT_BACKEND: DEFAULT_BACKEND,
+  create: create
+};
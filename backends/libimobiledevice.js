@@ -0,0 +1,55 @@
+'use strict';
+
+const childProcess = require('child_process');
+
+// default backend which shells out to the libimobiledevice binaries
+function create () {
+  return {
+    name: 'libimobiledevice',
+
+    listDevices: function () {
+      return childProcess.spawn('idevice_id', ['-l']);
+    },
+
+    deviceInfo: function (udid, domain) {
+      // call ideviceinfo binary with domain extension if present
+      const opts = ['-u', udid, '--xml'];
+      if (domain !== '') {
+        opts.push('--domain');
+        opts.push(domain);
+      }
+      return childProcess.spawn('ideviceinfo', opts);
+    },
+
+    listApps: function (udid) {
+      return childProcess.spawn('ideviceinstaller', ['-u', udid, '--list-apps', '-o', 'list_all', '-o', 'xml']);
+    },
+
+    copyProvisioningProfiles: function (udid, destDir) {
+      return childProcess.spawn('ideviceprovision', ['-u', udid, 'copy', destDir]);
+    },
+
+    crashReports: function (udid, destDir) {
+      return childProcess.spawn('idevicecrashreport', ['-u', udid, '--extract', '--keep', destDir]);
+    },
+
+    backup: function (udid, destDir) {
+      return childProcess.spawn('idevicebackup2', ['-u', udid, 'backup', '--full', destDir]);
+    },
+
+    configurationProfiles: function (udid) {
+      // libimobiledevice has no client for the profile service (com.apple.mobile.MCInstall)
+      // so this one comes from pymobiledevice3, an optional dependency
+      return childProcess.spawn('pymobiledevice3', ['profile', 'list', '--udid', udid]);
+    },
+
+    syslog: function (udid, opts) {
+      // execFile so the caller can control the timeout via opts
+      return childProcess.execFile('idevicesyslog', ['-u', udid], opts);
+    }
+  };
+}
+
+module.exports = {
+  create: create
+};
@@ -0,0 +1,388 @@
+'use strict';
+
+/*
+Reads an iTunes/Finder style backup written by idevicebackup2. The backup directory holds:
+
+  Info.plist       device details and the installed applications list
+  Manifest.plist   backup metadata, apps with their versions and the encryption flag
+  Status.plist     backup state, date and whether it was a full backup
+  Manifest.db      sqlite inventory of every file (domain, relative path, metadata)
+  xx/<fileID>      the file contents, named sha1(domain + '-' + relativePath)
+
+open() loads the plists and the Manifest.db inventory and returns an object with
+readFile(domain, relativePath) and canRead(domain, relativePath) helpers for later
+processing steps.
+
+Encrypted backups need the backup password. It unlocks the class keys in the keybag stored
+in Manifest.plist (BackupKeyBag), which in turn unwrap the key for Manifest.db (ManifestKey)
+and the per file keys recorded in Manifest.db. Files are AES-256-CBC with a zero IV.
+*/
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const plist = require('plist');
+const bplist = require('bplist-parser');
+const initSqlJs = require('sql.js');
+
+// class keys wrapped with the key derived from the backup password
+const WRAP_PASSCODE = 2;
+const AES_WRAP_IV = Buffer.from('A6A6A6A6A6A6A6A6', 'hex');
+const ZERO_IV = Buffer.alloc(16);
+
+// files that are only present (or only readable) in encrypted backups
+const PROTECTED_FILES = [
+  { 'name': 'Keychain', 'domain': 'KeychainDomain', 'relativePath': 'keychain-backup.plist' },
+  { 'name': 'Health', 'domain': 'HealthDomain', 'relativePath': 'Health/healthdb_secure.sqlite' },
+  { 'name': 'Wi-Fi known networks', 'domain': 'SystemPreferencesDomain', 'relativePath': 'SystemConfiguration/com.apple.wifi.plist' },
+  { 'name': 'Wi-Fi known networks (iOS 14+)', 'domain': 'SystemPreferencesDomain', 'relativePath': 'SystemConfiguration/com.apple.wifi-networks.plist.backup' },
+  { 'name': 'Call history', 'domain': 'HomeDomain', 'relativePath': 'Library/CallHistoryDB/CallHistory.storedata' },
+  { 'name': 'Safari history', 'domain': 'HomeDomain', 'relativePath': 'Library/Safari/History.db' }
+];
+
+// flags column in the Manifest.db Files table
+const FILE_TYPES = {
+  1: 'file',
+  2: 'directory',
+  4: 'symlink'
+};
+
+function findBackupRoot (dir) {
+  // idevicebackup2 writes into <dir>/<udid>/ so look in dir and one level down
+  if (fs.existsSync(path.join(dir, 'Manifest.plist'))) {
+    return dir;
+  }
+  if (!fs.existsSync(dir)) {
+    return null;
+  }
+  const children = fs.readdirSync(dir).filter(function (child) {
+    return fs.existsSync(path.join(dir, child, 'Manifest.plist'));
+  });
+  return children.length > 0 ? path.join(dir, children[0]) : null;
+}
+
+function readPlist (file) {
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+  return parsePlist(fs.readFileSync(file));
+}
+
+function parsePlist (buffer) {
+  // backups mix xml and binary plists
+  if (buffer.slice(0, 8).toString() === 'bplist00') {
+    return bplist.parseBuffer(buffer)[0];
+  }
+  return plist.parse(buffer.toString('utf8'));
+}
+
+function open (root, options, callback) {
+  let manifest, info, status;
+  try {
+    manifest = readPlist(path.join(root, 'Manifest.plist')) || {};
+    info = readPlist(path.join(root, 'Info.plist')) || {};
+    status = readPlist(path.join(root, 'Status.plist')) || {};
+  } catch (err) {
+    return callback(new Error('could not read backup plists: ' + err));
+  }
+
+  // per file sizes and wrapped keys, kept out of the public file list
+  const fileKeys = {};
+  let classKeys = null;
+
+  const backup = {
+    'root': root,
+    'manifest': manifest,
+    'info': info,
+    'status': status,
+    'encrypted': manifest.IsEncrypted === true,
+    'decrypted': false,
+    'decryptionError': null,
+    'files': [],
+    'readFile': function (domain, relativePath) {
+      const id = fileID(domain, relativePath);
+      const contents = readBackupFile(root, id);
+      if (contents === null || !backup.encrypted) {
+        return contents;
+      }
+      if (classKeys === null || !fileKeys[id] || !fileKeys[id].encryptionKey) {
+        return null;
+      }
+      return decryptFile(classKeys, fileKeys[id], contents);
+    },
+    'canRead': function (domain, relativePath) {
+      // unwrapping the file key is what fails without the right class key, so decrypting
+      // the first block is enough to tell whether a file is readable
+      const id = fileID(domain, relativePath);
+      const file = findBackupFile(root, id);
+      if (file === null || !backup.encrypted) {
+        return file !== null;
+      }
+      if (classKeys === null || !fileKeys[id] || !fileKeys[id].encryptionKey) {
+        return false;
+      }
+      return decryptFile(classKeys, fileKeys[id], readFirstBlock(file)) !== null;
+    }
+  };
+
+  const manifestDB = path.join(root, 'Manifest.db');
+  if (!fs.existsSync(manifestDB)) {
+    // older backups use Manifest.mbdb
+    return callback(null, backup);
+  }
+  if (backup.encrypted && !options.password) {
+    // Manifest.db is encrypted too, so only the plists can be read
+    return callback(null, backup);
+  }
+
+  const readInventory = function (buffer) {
+    readManifestDB(buffer, function (err, files) {
+      if (err) {
+        return callback(new Error('could not read Manifest.db: ' + err));
+      }
+      backup.files = files.map(function (file) {
+        fileKeys[file.fileID] = { 'size': file.size, 'encryptionKey': file.encryptionKey };
+        delete file.encryptionKey;
+        return file;
+      });
+      callback(null, backup);
+    });
+  };
+
+  if (!backup.encrypted) {
+    return readInventory(fs.readFileSync(manifestDB));
+  }
+
+  // a wrong password still leaves the plists to report on, so it is recorded on the
+  // backup rather than returned as an error
+  unlockKeybag(parseKeybag(manifest.BackupKeyBag), options.password, function (err, keys) {
+    if (err) {
+      backup.decryptionError = err.message;
+      return callback(null, backup);
+    }
+    classKeys = keys;
+    let decryptedDB;
+    try {
+      const manifestKey = manifest.ManifestKey;
+      const key = unwrapKey(classKeys[manifestKey.readUInt32LE(0)], manifestKey.slice(4));
+      decryptedDB = aesDecrypt(key, fs.readFileSync(manifestDB));
+    } catch (err) {
+      backup.decryptionError = 'could not decrypt Manifest.db: ' + err.message;
+      return callback(null, backup);
+    }
+    backup.decrypted = true;
+    readInventory(decryptedDB);
+  });
+}
+
+function parseKeybag (buffer) {
+  // the keybag is a list of 4 byte tag, 4 byte big endian length, value records. The
+  // attributes come first, then each class key starts with its own UUID record
+  const keybag = { 'attributes': {}, 'classKeys': [] };
+  let current = null;
+  let offset = 0;
+  if (!buffer) {
+    return keybag;
+  }
+  while (offset + 8 <= buffer.length) {
+    const tag = buffer.toString('ascii', offset, offset + 4);
+    const length = buffer.readUInt32BE(offset + 4);
+    let value = buffer.slice(offset + 8, offset + 8 + length);
+    if (length === 4) {
+      value = value.readUInt32BE(0);
+    }
+    offset += 8 + length;
+
+    if (tag === 'UUID' && keybag.attributes.UUID !== undefined) {
+      current = {};
+      keybag.classKeys.push(current);
+    }
+    if (current === null) {
+      keybag.attributes[tag] = value;
+    } else {
+      current[tag] = value;
+    }
+  }
+  return keybag;
+}
+
+function unlockKeybag (keybag, password, callback) {
+  const attributes = keybag.attributes;
+  if (!attributes.SALT || !attributes.ITER) {
+    return callback(new Error('backup keybag not found in Manifest.plist'));
+  }
+
+  const derivePasscodeKey = function (done) {
+    // iOS 10.2+ runs the password through a sha256 round before the sha1 one
+    if (attributes.DPSL && attributes.DPIC) {
+      return crypto.pbkdf2(password, attributes.DPSL, attributes.DPIC, 32, 'sha256', done);
+    }
+    done(null, Buffer.from(password, 'utf8'));
+  };
+
+  derivePasscodeKey(function (err, firstRound) {
+    if (err) {
+      return callback(err);
+    }
+    crypto.pbkdf2(firstRound, attributes.SALT, attributes.ITER, 32, 'sha1', function (err, passcodeKey) {
+      if (err) {
+        return callback(err);
+      }
+      const classKeys = {};
+      for (let i = 0; i < keybag.classKeys.length; i++) {
+        const classKey = keybag.classKeys[i];
+        if (!(classKey.WRAP & WRAP_PASSCODE) || !classKey.WPKY) {
+          continue;
+        }
+        try {
+          classKeys[classKey.CLAS] = unwrapKey(passcodeKey, classKey.WPKY);
+        } catch (err) {
+          // the key unwrap integrity check fails when the password is wrong
+          return callback(new Error('incorrect backup password'));
+        }
+      }
+      callback(null, classKeys);
+    });
+  });
+}
+
+function unwrapKey (key, wrapped) {
+  // RFC 3394 AES key unwrap
+  if (!key) {
+    throw new Error('no key for protection class');
+  }
+  const decipher = crypto.createDecipheriv('id-aes256-wrap', key, AES_WRAP_IV);
+  return Buffer.concat([decipher.update(wrapped), decipher.final()]);
+}
+
+function aesDecrypt (key, data) {
+  const decipher = crypto.createDecipheriv('aes-256-cbc', key, ZERO_IV);
+  decipher.setAutoPadding(false);
+  const decrypted = Buffer.concat([decipher.update(data), decipher.final()]);
+  // strip PKCS7 padding when it is there
+  const padding = decrypted.length > 0 ? decrypted[decrypted.length - 1] : 0;
+  if (padding > 0 && padding <= 16 && decrypted.slice(-padding).every(function (byte) { return byte === padding; })) {
+    return decrypted.slice(0, decrypted.length - padding);
+  }
+  return decrypted;
+}
+
+function decryptFile (classKeys, fileKey, contents) {
+  try {
+    const key = unwrapKey(classKeys[fileKey.encryptionKey.readUInt32LE(0)], fileKey.encryptionKey.slice(4));
+    return aesDecrypt(key, contents).slice(0, fileKey.size);
+  } catch (err) {
+    return null;
+  }
+}
+
+function readManifestDB (buffer, callback) {
+  initSqlJs().then(function (SQL) {
+    const db = new SQL.Database(buffer);
+    const files = [];
+    try {
+      const statement = db.prepare('SELECT fileID, domain, relativePath, flags, file FROM Files ORDER BY domain, relativePath');
+      while (statement.step()) {
+        const row = statement.getAsObject();
+        const metadata = parseFileMetadata(row.file);
+        files.push({
+          'fileID': row.fileID,
+          'domain': row.domain,
+          'relativePath': row.relativePath,
+          'type': FILE_TYPES[row.flags] || 'unknown',
+          'size': metadata.Size || 0,
+          'modified': metadata.LastModified ? new Date(metadata.LastModified * 1000).toISOString() : null,
+          'mode': metadata.Mode !== undefined ? metadata.Mode.toString(8) : null,
+          'protectionClass': metadata.ProtectionClass !== undefined ? metadata.ProtectionClass : null,
+          'encryptionKey': metadata.EncryptionKey || null
+        });
+      }
+      statement.free();
+    } finally {
+      db.close();
+    }
+    return files;
+  }).then(function (files) {
+    // leave the promise chain so errors thrown by the callback are not swallowed
+    setImmediate(callback, null, files);
+  }, function (err) {
+    setImmediate(callback, err);
+  });
+}
+
+function parseFileMetadata (blob) {
+  // the file column is an NSKeyedArchiver binary plist describing an MBFile object
+  if (!blob || blob.length === 0) {
+    return {};
+  }
+  try {
+    const archive = bplist.parseBuffer(Buffer.from(blob))[0];
+    const rootUID = archive.$top.root.UID;
+    const metadata = Object.assign({}, archive.$objects[rootUID]);
+    // encrypted backups reference an NSData object holding the wrapped file key
+    if (metadata.EncryptionKey && metadata.EncryptionKey.UID !== undefined) {
+      const keyObject = archive.$objects[metadata.EncryptionKey.UID] || {};
+      metadata.EncryptionKey = keyObject['NS.data'] || null;
+    }
+    return metadata;
+  } catch (err) {
+    return {};
+  }
+}
+
+function fileID (domain, relativePath) {
+  return crypto.createHash('sha1').update(domain + '-' + relativePath).digest('hex');
+}
+
+function findBackupFile (root, id) {
+  // iOS 10+ backups shard files into directories named after the first two characters
+  const candidates = [path.join(root, id.slice(0, 2), id), path.join(root, id)];
+  const file = candidates.find(function (candidate) {
+    return fs.existsSync(candidate);
+  });
+  return file === undefined ? null : file;
+}
+
+function readBackupFile (root, id) {
+  const file = findBackupFile(root, id);
+  return file === null ? null : fs.readFileSync(file);
+}
+
+function readFirstBlock (file) {
+  // one AES block
+  const block = Buffer.alloc(16);
+  const fd = fs.openSync(file, 'r');
+  try {
+    return block.slice(0, fs.readSync(fd, block, 0, 16, 0));
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+function protectedDataSummary (backup) {
+  // which of the protected files are in the backup and whether they could be read
+  const inventory = {};
+  backup.files.forEach(function (file) {
+    inventory[file.fileID] = true;
+  });
+  return PROTECTED_FILES.map(function (entry) {
+    const present = inventory[fileID(entry.domain, entry.relativePath)] === true;
+    return {
+      'name': entry.name,
+      'domain': entry.domain,
+      'relativePath': entry.relativePath,
+      'present': present,
+      'readable': present && backup.canRead(entry.domain, entry.relativePath)
+    };
+  });
+}
+
+module.exports = {
+  PROTECTED_FILES: PROTECTED_FILES,
+  findBackupRoot: findBackupRoot,
+  readPlist: readPlist,
+  parsePlist: parsePlist,
+  open: open,
+  fileID: fileID,
+  protectedDataSummary: protectedDataSummary
+};
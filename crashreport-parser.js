@@ -0,0 +1,416 @@
+'use strict';
+
+/*
+Parses iOS crash reports into structured fields. Three layouts show up in the files
+pulled by idevicecrashreport:
+
+  .crash             plain text report
+  .ips (iOS <= 14)   one line JSON header followed by the same plain text report
+  .ips (iOS >= 15)   one line JSON header followed by a JSON report body
+
+parse() returns null for files that are not crash reports (jetsam events, logs, etc.)
+Those are sorted by classify() and the jetsam events and security logs have their own
+parsers.
+*/
+
+// bug_type values apple uses for crash reports in the ips header
+const CRASH_BUG_TYPES = ['109', '309'];
+
+// report categories in the order they are shown, with the file name and bug_type each is
+// recognized by. Anything that matches none of them is 'other'
+const CATEGORIES = [
+  { 'category': 'crash', 'label': 'Crash reports', 'names': [/\.crash$/], 'bugTypes': CRASH_BUG_TYPES },
+  { 'category': 'jetsam', 'label': 'Jetsam events', 'names': [/^JetsamEvent/], 'bugTypes': ['298'] },
+  { 'category': 'excUserFault', 'label': 'User fault exceptions', 'names': [/^ExcUserFault/], 'bugTypes': [] },
+  { 'category': 'stacks', 'label': 'Stackshots', 'names': [/^stacks/i], 'bugTypes': ['288'] },
+  { 'category': 'securityLog', 'label': 'Security logs', 'names': [/^security\.log/], 'bugTypes': [] },
+  { 'category': 'analytics', 'label': 'Analytics', 'names': [/^Analytics/, /^log-aggregated/], 'bugTypes': ['211'] },
+  { 'category': 'powerlog', 'label': 'Power logs', 'names': [/^powerlog/i, /\.PLSQL$/], 'bugTypes': [] },
+  { 'category': 'diskWrites', 'label': 'Disk writes', 'names': [/diskwrites_resource/], 'bugTypes': ['145'] },
+  { 'category': 'cpuResource', 'label': 'CPU resource', 'names': [/cpu_resource/], 'bugTypes': ['202'] },
+  { 'category': 'other', 'label': 'Other files', 'names': [], 'bugTypes': [] }
+];
+
+// number of processes listed per jetsam event
+const JETSAM_TOP_PROCESSES = 10;
+
+// e.g. "2017-01-19 08:47:05.123456-0500 securityd[97] <Notice>: message" or without the level
+const SECURITY_LOG_REGEX = /^(\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}:\d{2}(?:\.\d+)?(?:\s?[+-]\d{2}:?\d{2}|Z)?)\s+([^\s[]+)\[(\d+)\](?::\S+)?(?:\s+<\w+>)?:?\s+(.*)$/;
+
+const FRAME_REGEX = /^(\d+)\s+(.+?)\s+(0x[0-9a-fA-F]+)\s+(.*)$/;
+const BINARY_IMAGE_REGEX = /^\s*(0x[0-9a-fA-F]+)\s+-\s+(0x[0-9a-fA-F]+)\s+\+?(.+?)\s+(arm\w*|x86_64|i386|\?\?\?)\s+<([0-9a-fA-F-]+)>\s+(.*)$/;
+const HEADER_FIELD_REGEX = /^([A-Za-z][A-Za-z /]*?):\s+(.*)$/;
+
+function parse (content) {
+  let header = null;
+  let body = content;
+
+  // ips files start with a single line of JSON
+  const firstNewline = content.indexOf('\n');
+  const firstLine = (firstNewline === -1 ? content : content.slice(0, firstNewline)).trim();
+  if (firstLine.startsWith('{')) {
+    try {
+      header = JSON.parse(firstLine);
+      body = firstNewline === -1 ? '' : content.slice(firstNewline + 1);
+    } catch (err) {
+      header = null;
+    }
+  }
+
+  if (header !== null && header.bug_type !== undefined &&
+      CRASH_BUG_TYPES.indexOf(String(header.bug_type)) === -1) {
+    return null;
+  }
+
+  if (body.trim().startsWith('{')) {
+    let report = null;
+    try {
+      report = JSON.parse(body);
+    } catch (err) {
+      return null;
+    }
+    return parseJSONReport(header || {}, report);
+  }
+
+  if (body.indexOf('Exception Type:') === -1 && body.indexOf('Incident Identifier:') === -1) {
+    return null;
+  }
+  return parseTextReport(header || {}, body);
+}
+
+function emptyReport (format, header) {
+  return {
+    'format': format,
+    'bugType': header.bug_type !== undefined ? String(header.bug_type) : null,
+    'incidentId': header.incident_id || null,
+    'timestamp': header.timestamp || null,
+    'process': header.name || header.app_name || null,
+    'pid': null,
+    'path': null,
+    'bundleId': header.bundleID || null,
+    'version': header.app_version || null,
+    'osVersion': header.os_version || null,
+    'hardwareModel': null,
+    'exceptionType': null,
+    'exceptionCodes': null,
+    'exceptionSubtype': null,
+    'terminationReason': null,
+    'crashedThread': null,
+    'backtrace': [],
+    'binaryImages': []
+  };
+}
+
+function parseTextReport (header, body) {
+  const crash = emptyReport('text', header);
+  const lines = body.split('\n');
+
+  let section = 'header';
+  let crashedThreadHeader = null;
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].replace(/\r$/, '');
+
+    if (line.startsWith('Binary Images:')) {
+      section = 'images';
+      continue;
+    }
+
+    if (section === 'images') {
+      const image = BINARY_IMAGE_REGEX.exec(line);
+      if (image !== null) {
+        crash.binaryImages.push({
+          'name': image[3],
+          'arch': image[4],
+          'uuid': normalizeUUID(image[5]),
+          'path': image[6],
+          'base': image[1]
+        });
+      }
+      continue;
+    }
+
+    // e.g. "Thread 0 Crashed:" or "Thread 3 name:  Dispatch queue: ..."
+    if (/^Thread \d+ Crashed:/.test(line)) {
+      crashedThreadHeader = Number(line.split(' ')[1]);
+      if (crash.crashedThread === null) {
+        crash.crashedThread = crashedThreadHeader;
+      }
+      section = 'backtrace';
+      continue;
+    }
+
+    if (section === 'backtrace') {
+      const frame = FRAME_REGEX.exec(line);
+      if (frame !== null) {
+        crash.backtrace.push({
+          'frame': Number(frame[1]),
+          'image': frame[2],
+          'address': frame[3],
+          'symbol': frame[4]
+        });
+        continue;
+      }
+      // a blank line ends the crashed thread's frames
+      section = 'threads';
+      continue;
+    }
+
+    const field = HEADER_FIELD_REGEX.exec(line);
+    if (field === null) {
+      continue;
+    }
+    const value = field[2].trim();
+    switch (field[1]) {
+      case 'Incident Identifier':
+        crash.incidentId = value;
+        break;
+      case 'Hardware Model':
+        crash.hardwareModel = value;
+        break;
+      case 'Process':
+        // "MobileSafari [1234]"
+        crash.process = value.replace(/\s*\[\d+\]$/, '');
+        if (/\[(\d+)\]$/.test(value)) {
+          crash.pid = Number(/\[(\d+)\]$/.exec(value)[1]);
+        }
+        break;
+      case 'Path':
+        crash.path = value;
+        break;
+      case 'Identifier':
+        crash.bundleId = value;
+        break;
+      case 'Version':
+        crash.version = value;
+        break;
+      case 'Date/Time':
+        crash.timestamp = value;
+        break;
+      case 'OS Version':
+        crash.osVersion = value;
+        break;
+      case 'Exception Type':
+        crash.exceptionType = value;
+        break;
+      case 'Exception Codes':
+        crash.exceptionCodes = value;
+        break;
+      case 'Exception Subtype':
+        crash.exceptionSubtype = value;
+        break;
+      case 'Termination Reason':
+        crash.terminationReason = value;
+        break;
+      case 'Crashed Thread':
+      case 'Triggered by Thread':
+        crash.crashedThread = Number(value.split(' ')[0]);
+        break;
+      default:
+        break;
+    }
+  }
+
+  return crash;
+}
+
+function parseJSONReport (header, report) {
+  const crash = emptyReport('ips-json', header);
+  const bundleInfo = report.bundleInfo || {};
+  const exception = report.exception || {};
+  const termination = report.termination || {};
+  const osVersion = report.osVersion || {};
+
+  crash.bugType = report.bug_type || crash.bugType;
+  crash.incidentId = report.incident || crash.incidentId;
+  crash.timestamp = report.captureTime || crash.timestamp;
+  crash.process = report.procName || crash.process;
+  crash.pid = report.pid !== undefined ? report.pid : null;
+  crash.path = report.procPath || null;
+  crash.bundleId = bundleInfo.CFBundleIdentifier || crash.bundleId;
+  if (bundleInfo.CFBundleShortVersionString) {
+    crash.version = bundleInfo.CFBundleShortVersionString +
+      (bundleInfo.CFBundleVersion ? ' (' + bundleInfo.CFBundleVersion + ')' : '');
+  }
+  if (osVersion.train) {
+    crash.osVersion = osVersion.train + (osVersion.build ? ' (' + osVersion.build + ')' : '');
+  }
+  crash.hardwareModel = report.modelCode || null;
+  if (exception.type) {
+    crash.exceptionType = exception.type + (exception.signal ? ' (' + exception.signal + ')' : '');
+  }
+  crash.exceptionCodes = exception.codes || null;
+  crash.exceptionSubtype = exception.subtype || null;
+  if (termination.namespace) {
+    crash.terminationReason = 'Namespace ' + termination.namespace + ', Code ' + termination.code +
+      (termination.indicator ? ' ' + termination.indicator : '') +
+      (termination.reasons ? ' ' + [].concat(termination.reasons).join(' ') : '');
+  }
+
+  const images = report.usedImages || [];
+  images.forEach(function (image) {
+    crash.binaryImages.push({
+      'name': image.name || (image.path ? image.path.split('/').pop() : '???'),
+      'arch': image.arch || null,
+      'uuid': image.uuid ? normalizeUUID(image.uuid) : null,
+      'path': image.path || null,
+      'base': image.base !== undefined ? '0x' + image.base.toString(16) : null
+    });
+  });
+
+  const threads = report.threads || [];
+  let crashedThread = null;
+  for (let i = 0; i < threads.length; i++) {
+    if (threads[i].triggered) {
+      crashedThread = i;
+      break;
+    }
+  }
+  if (crashedThread === null && report.faultingThread !== undefined) {
+    crashedThread = report.faultingThread;
+  }
+  crash.crashedThread = crashedThread;
+
+  if (crashedThread !== null && threads[crashedThread]) {
+    (threads[crashedThread].frames || []).forEach(function (frame, index) {
+      const image = images[frame.imageIndex] || {};
+      let address = null;
+      if (image.base !== undefined && frame.imageOffset !== undefined) {
+        address = '0x' + (image.base + frame.imageOffset).toString(16);
+      }
+      let symbol = frame.symbol || null;
+      if (symbol && frame.symbolLocation !== undefined) {
+        symbol += ' + ' + frame.symbolLocation;
+      } else if (!symbol && frame.imageOffset !== undefined) {
+        symbol = image.name + ' + ' + frame.imageOffset;
+      }
+      crash.backtrace.push({
+        'frame': index,
+        'image': image.name || null,
+        'address': address,
+        'symbol': symbol
+      });
+    });
+  }
+
+  return crash;
+}
+
+function readHeader (content) {
+  const firstNewline = content.indexOf('\n');
+  const firstLine = (firstNewline === -1 ? content : content.slice(0, firstNewline)).trim();
+  if (!firstLine.startsWith('{')) {
+    return null;
+  }
+  try {
+    return JSON.parse(firstLine);
+  } catch (err) {
+    return null;
+  }
+}
+
+function classify (filename, content) {
+  // filename may include a directory, e.g. DiagnosticLogs/security.log.20170119T084705Z
+  const basename = filename.split('/').pop();
+  const header = readHeader(content || '');
+  const bugType = header !== null && header.bug_type !== undefined ? String(header.bug_type) : null;
+
+  const byName = CATEGORIES.find(function (entry) {
+    return entry.names.some(function (regex) { return regex.test(basename); });
+  });
+  if (byName !== undefined) {
+    return byName.category;
+  }
+  const byBugType = CATEGORIES.find(function (entry) {
+    return bugType !== null && entry.bugTypes.indexOf(bugType) !== -1;
+  });
+  if (byBugType !== undefined) {
+    return byBugType.category;
+  }
+  return 'other';
+}
+
+function parseJetsam (content) {
+  const header = readHeader(content) || {};
+  const firstNewline = content.indexOf('\n');
+  const body = header.bug_type !== undefined && firstNewline !== -1 ? content.slice(firstNewline + 1) : content;
+
+  let report = null;
+  try {
+    report = JSON.parse(body);
+  } catch (err) {
+    return null;
+  }
+
+  const memoryStatus = report.memoryStatus || {};
+  const pageSize = memoryStatus.pageSize || report.pageSize || 4096;
+  const processes = (report.processes || []).map(function (proc) {
+    return {
+      'name': proc.name || null,
+      'pid': proc.pid !== undefined ? proc.pid : null,
+      'rpages': proc.rpages || 0,
+      'bytes': (proc.rpages || 0) * pageSize,
+      'states': proc.states || [],
+      'reason': proc.reason || null
+    };
+  });
+
+  return {
+    'timestamp': report.date || header.timestamp || null,
+    'osVersion': report.build || header.os_version || null,
+    'product': report.product || null,
+    'incidentId': report.incident || header.incident_id || null,
+    'pageSize': pageSize,
+    'largestProcess': report.largestProcess || null,
+    'processCount': processes.length,
+    'topProcesses': processes.slice().sort(function (a, b) {
+      return b.rpages - a.rpages;
+    }).slice(0, JETSAM_TOP_PROCESSES),
+    // only processes jetsam acted on carry a reason
+    'killed': processes.filter(function (proc) {
+      return proc.reason !== null;
+    }).map(function (proc) {
+      return { 'name': proc.name, 'pid': proc.pid, 'reason': proc.reason };
+    })
+  };
+}
+
+function parseSecurityLog (content) {
+  const events = [];
+  let unparsed = 0;
+  content.split('\n').forEach(function (rawLine) {
+    const line = rawLine.replace(/\r$/, '');
+    if (line.trim() === '') {
+      return;
+    }
+    const match = SECURITY_LOG_REGEX.exec(line);
+    if (match !== null) {
+      events.push({
+        'timestamp': match[1],
+        'process': match[2],
+        'pid': Number(match[3]),
+        'message': match[4]
+      });
+    } else if (events.length > 0 && /^\s/.test(line)) {
+      // indented lines continue the previous message
+      events[events.length - 1].message += '\n' + line.trim();
+    } else {
+      unparsed++;
+    }
+  });
+  return { 'events': events, 'unparsed': unparsed };
+}
+
+function normalizeUUID (uuid) {
+  // text reports use 32 hex chars, json reports use the dashed form
+  return uuid.replace(/-/g, '').toLowerCase();
+}
+
+module.exports = {
+  CRASH_BUG_TYPES: CRASH_BUG_TYPES,
+  CATEGORIES: CATEGORIES,
+  parse: parse,
+  classify: classify,
+  parseJetsam: parseJetsam,
+  parseSecurityLog: parseSecurityLog
+};
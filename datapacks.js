@@ -0,0 +1,292 @@
+'use strict';
+
+/*
+Imports signed data packs so air-gapped responders can update the iOS version tables, CVE
+and IOC lists, entitlement catalogs and rules without network access. A pack is a tarball
+(.tar, .tar.gz, .tgz) or zip holding:
+
+  manifest.json   { "name", "version", "created", "description" }
+  data/           replacements for files in the bundled data/ directory
+  rules/          extra declarative (JSON or YAML) issue rules, loaded after the built-in
+                  ones. JavaScript rules are refused, a pack carries data, not code
+
+The pack is signed with a detached signature (<pack>.sig by default, raw or base64) made
+with an Ed25519, ECDSA or RSA (sha256) private key. Public keys come from --public-key or
+the PEM files in ~/.ios-triage/keys. Packs are installed to ~/.ios-triage/data/packs/<version>
+and state.json records the current and previous version with a history of every install,
+activation and rollback. Rolling back walks back through the versions that were active
+before, and an installed version can be switched back on with activate. A pack older than
+the newest installed one is refused unless the downgrade is explicitly allowed, so an old signed pack
+can't quietly replace newer data.
+*/
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const tar = require('tar');
+const AdmZip = require('adm-zip');
+const datasets = require('./datasets.js');
+const issueRules = require('./rules');
+
+const KEYS_DIR = path.join(os.homedir(), '.ios-triage', 'keys');
+const VERSION_REGEX = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+const PACK_CONTENTS = ['manifest.json', 'data', 'rules'];
+
+function loadPublicKeys (publicKeyFile) {
+  let files = [];
+  if (publicKeyFile) {
+    files = [publicKeyFile];
+  } else if (fs.existsSync(KEYS_DIR)) {
+    files = fs.readdirSync(KEYS_DIR).filter(function (file) {
+      return ['.pem', '.pub'].indexOf(path.extname(file).toLowerCase()) !== -1;
+    }).map(function (file) {
+      return path.join(KEYS_DIR, file);
+    });
+  }
+  if (files.length === 0) {
+    throw new Error('no public keys found, pass --public-key or add PEM files to ' + KEYS_DIR);
+  }
+  return files.map(function (file) {
+    return { 'file': file, 'key': crypto.createPublicKey(fs.readFileSync(file)) };
+  });
+}
+
+function readSignature (signatureFile) {
+  // accept the raw signature or the base64 text most signing scripts print
+  const raw = fs.readFileSync(signatureFile);
+  const text = raw.toString('latin1').trim();
+  if (/^[A-Za-z0-9+/\r\n]+=*$/.test(text)) {
+    return Buffer.from(text, 'base64');
+  }
+  return raw;
+}
+
+function verifySignature (packFile, signatureFile, publicKeys) {
+  // returns the key file that verified the pack, throws when none does
+  if (!fs.existsSync(signatureFile)) {
+    throw new Error('signature ' + signatureFile + ' not found, data packs must be signed');
+  }
+  const pack = fs.readFileSync(packFile);
+  const signature = readSignature(signatureFile);
+  const verifiedBy = publicKeys.find(function (publicKey) {
+    // Ed25519 signs the message itself, the other key types sign its sha256 digest
+    const algorithm = publicKey.key.asymmetricKeyType === 'ed25519' ? null : 'sha256';
+    try {
+      return crypto.verify(algorithm, pack, publicKey.key, signature);
+    } catch (err) {
+      return false;
+    }
+  });
+  if (!verifiedBy) {
+    throw new Error('signature ' + signatureFile + ' does not verify with any trusted public key');
+  }
+  return verifiedBy.file;
+}
+
+function extract (packFile, destDir) {
+  const header = Buffer.alloc(4);
+  const fd = fs.openSync(packFile, 'r');
+  fs.readSync(fd, header, 0, 4, 0);
+  fs.closeSync(fd);
+
+  if (header.readUInt32BE(0) === 0x504b0304) {
+    // zip, write entries ourselves so names like ../../x can't escape destDir
+    new AdmZip(packFile).getEntries().forEach(function (entry) {
+      const target = path.resolve(destDir, entry.entryName);
+      if (!target.startsWith(destDir + path.sep)) {
+        throw new Error('pack entry ' + entry.entryName + ' is outside the pack');
+      }
+      if (entry.isDirectory) {
+        return;
+      }
+      fs.mkdirSync(path.dirname(target), { 'recursive': true });
+      fs.writeFileSync(target, entry.getData());
+    });
+  } else {
+    // tar strips absolute and .. paths, only regular files and directories are kept
+    tar.x({
+      'file': packFile,
+      'cwd': destDir,
+      'sync': true,
+      'strict': true,
+      'filter': function (entryPath, entry) {
+        return entry.type === 'File' || entry.type === 'Directory';
+      }
+    });
+  }
+
+  // packs made by zipping a folder have everything under one top-level directory
+  const entries = fs.readdirSync(destDir);
+  if (entries.length === 1 && fs.statSync(path.join(destDir, entries[0])).isDirectory() &&
+    fs.existsSync(path.join(destDir, entries[0], 'manifest.json'))) {
+    return path.join(destDir, entries[0]);
+  }
+  return destDir;
+}
+
+function validate (packDir) {
+  // make sure the pack is usable before it becomes the current one
+  const manifestFile = path.join(packDir, 'manifest.json');
+  if (!fs.existsSync(manifestFile)) {
+    throw new Error('pack has no manifest.json');
+  }
+  const manifest = JSON.parse(fs.readFileSync(manifestFile, 'utf8'));
+  if (typeof manifest.version !== 'string' || !VERSION_REGEX.test(manifest.version)) {
+    throw new Error('pack manifest has no valid version');
+  }
+  fs.readdirSync(packDir).forEach(function (entry) {
+    if (PACK_CONTENTS.indexOf(entry) === -1) {
+      throw new Error('unexpected ' + entry + ' in pack, expected ' + PACK_CONTENTS.join(', '));
+    }
+  });
+  const dataDir = path.join(packDir, 'data');
+  if (fs.existsSync(dataDir)) {
+    fs.readdirSync(dataDir).forEach(function (file) {
+      try {
+        datasets.readFile(path.join(dataDir, file));
+      } catch (err) {
+        throw new Error('pack dataset ' + file + ' could not be read: ' + err.message);
+      }
+    });
+  }
+  const rulesDir = path.join(packDir, 'rules');
+  if (fs.existsSync(rulesDir)) {
+    fs.readdirSync(rulesDir).forEach(function (file) {
+      if (issueRules.DECLARATIVE_EXTENSIONS.indexOf(path.extname(file).toLowerCase()) === -1) {
+        throw new Error('pack rule ' + file + ' is not a JSON or YAML rule, data packs can only hold declarative rules');
+      }
+    });
+    issueRules.loadDir(rulesDir, issueRules.DECLARATIVE_EXTENSIONS);
+  }
+  return manifest;
+}
+
+function comparePackVersions (a, b) {
+  // 2026.9.1 < 2026.10.1, numeric segments compare as numbers and the rest as text
+  const left = a.split(/[._-]/);
+  const right = b.split(/[._-]/);
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    if (left[i] === undefined || right[i] === undefined) {
+      return left[i] === undefined ? -1 : 1;
+    }
+    const diff = /^\d+$/.test(left[i]) && /^\d+$/.test(right[i])
+      ? Number(left[i]) - Number(right[i])
+      : left[i].localeCompare(right[i]);
+    if (diff !== 0) {
+      return diff < 0 ? -1 : 1;
+    }
+  }
+  return 0;
+}
+
+function isInstalled (version) {
+  return fs.existsSync(path.join(datasets.PACKS_DIR, version, 'manifest.json'));
+}
+
+function installedVersions () {
+  // oldest first, .incoming-* directories are packs still being installed
+  if (!fs.existsSync(datasets.PACKS_DIR)) {
+    return [];
+  }
+  return fs.readdirSync(datasets.PACKS_DIR).filter(function (version) {
+    return VERSION_REGEX.test(version) && isInstalled(version);
+  }).sort(comparePackVersions);
+}
+
+function activeVersions (state) {
+  // replays the history into the versions that were made current, oldest first. Installs
+  // and activations put a version on top, rollbacks take the top one off
+  const versions = [];
+  state.history.forEach(function (entry) {
+    if (entry.action === 'rollback') {
+      versions.pop();
+    } else {
+      versions.push(entry.version);
+    }
+  });
+  return versions;
+}
+
+function writeState (state) {
+  fs.mkdirSync(datasets.DATA_HOME, { 'recursive': true });
+  fs.writeFileSync(datasets.STATE_FILE, JSON.stringify(state, null, 2), 'utf8');
+}
+
+function install (packFile, options, callback) {
+  const incomingDir = path.join(datasets.PACKS_DIR, '.incoming-' + crypto.randomBytes(6).toString('hex'));
+  let manifest;
+  let verifiedBy;
+  try {
+    verifiedBy = verifySignature(packFile, options.signature || packFile + '.sig', loadPublicKeys(options.publicKey));
+    fs.mkdirSync(incomingDir, { 'recursive': true });
+    const packDir = extract(packFile, incomingDir);
+    manifest = validate(packDir);
+    const installDir = path.join(datasets.PACKS_DIR, manifest.version);
+    if (fs.existsSync(installDir)) {
+      throw new Error('data pack ' + manifest.version + ' is already installed, switch to it with --activate ' + manifest.version);
+    }
+    const newest = installedVersions().pop();
+    if (newest && !options.allowDowngrade && comparePackVersions(manifest.version, newest) < 0) {
+      throw new Error('data pack ' + manifest.version + ' is older than the installed data pack ' + newest + ', pass --allow-downgrade to install it anyway');
+    }
+    fs.renameSync(packDir, installDir);
+  } catch (err) {
+    fs.rmSync(incomingDir, { 'recursive': true, 'force': true });
+    return callback(err);
+  }
+  fs.rmSync(incomingDir, { 'recursive': true, 'force': true });
+
+  const state = datasets.readState();
+  state.previous = state.current;
+  state.current = manifest.version;
+  state.history.push({ 'action': 'install', 'version': manifest.version, 'date': new Date().toISOString(), 'verifiedBy': verifiedBy });
+  writeState(state);
+  callback(null, 'installed data pack ' + (manifest.name ? manifest.name + ' ' : '') + manifest.version + ' (signature verified with ' + verifiedBy + ')');
+}
+
+function activate (version, callback) {
+  // switch to a pack that is already installed, e.g. one that was rolled back
+  const state = datasets.readState();
+  if (!VERSION_REGEX.test(version) || !isInstalled(version)) {
+    return callback(new Error('data pack ' + version + ' is not installed'));
+  }
+  if (state.current === version) {
+    return callback(null, 'data pack ' + version + ' is already the current data pack');
+  }
+  state.previous = state.current;
+  state.current = version;
+  state.history.push({ 'action': 'activate', 'version': version, 'date': new Date().toISOString() });
+  writeState(state);
+  callback(null, 'switched to data pack ' + version);
+}
+
+function rollback (callback) {
+  const state = datasets.readState();
+  if (!state.current) {
+    return callback(new Error('no data pack is active, the bundled data is in use'));
+  }
+  // go back to the version that was current before this one, skipping packs removed from
+  // disk since. With nothing to go back to, rolling back returns to the bundled data
+  const versions = activeVersions(state);
+  if (versions[versions.length - 1] === state.current) {
+    versions.pop();
+  }
+  while (versions.length > 0 && !isInstalled(versions[versions.length - 1])) {
+    versions.pop();
+  }
+  const from = state.current;
+  state.current = versions.length > 0 ? versions[versions.length - 1] : null;
+  state.previous = versions.length > 1 ? versions[versions.length - 2] : null;
+  state.history.push({ 'action': 'rollback', 'version': state.current, 'from': from, 'date': new Date().toISOString() });
+  writeState(state);
+  callback(null, 'rolled back data pack ' + from + ' to ' + (state.current || 'the bundled data'));
+}
+
+module.exports = {
+  KEYS_DIR: KEYS_DIR,
+  verifySignature: verifySignature,
+  install: install,
+  activate: activate,
+  rollback: rollback
+};
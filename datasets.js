@@ -0,0 +1,65 @@
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const yaml = require('js-yaml');
+
+// bundled datasets (domain lists, rules, indicator lists...) live in data/
+const DATA_DIR = path.join(__dirname, 'data');
+// data packs imported with `ios-triage update-data` live in packs/<version> here, with
+// state.json naming the current and previous pack
+const DATA_HOME = path.join(os.homedir(), '.ios-triage', 'data');
+const PACKS_DIR = path.join(DATA_HOME, 'packs');
+const STATE_FILE = path.join(DATA_HOME, 'state.json');
+
+function readFile (file) {
+  // user supplied files can be JSON or YAML, decided by the extension
+  const contents = fs.readFileSync(file, 'utf8');
+  const ext = path.extname(file).toLowerCase();
+  if (ext === '.yaml' || ext === '.yml') {
+    return yaml.safeLoad(contents);
+  }
+  return JSON.parse(contents);
+}
+
+function readState () {
+  if (!fs.existsSync(STATE_FILE)) {
+    return { 'current': null, 'previous': null, 'history': [] };
+  }
+  return JSON.parse(fs.readFileSync(STATE_FILE, 'utf8'));
+}
+
+function currentPack () {
+  // { version, dir, manifest } of the active data pack, null when only bundled data is used
+  const state = readState();
+  if (!state.current) {
+    return null;
+  }
+  const dir = path.join(PACKS_DIR, state.current);
+  const manifestFile = path.join(dir, 'manifest.json');
+  if (!fs.existsSync(manifestFile)) {
+    return null;
+  }
+  return { 'version': state.current, 'dir': dir, 'manifest': JSON.parse(fs.readFileSync(manifestFile, 'utf8')) };
+}
+
+function load (name) {
+  // the current data pack wins over the bundled copy of a dataset
+  const pack = currentPack();
+  if (pack !== null && fs.existsSync(path.join(pack.dir, 'data', name))) {
+    return readFile(path.join(pack.dir, 'data', name));
+  }
+  return readFile(path.join(DATA_DIR, name));
+}
+
+module.exports = {
+  DATA_DIR: DATA_DIR,
+  DATA_HOME: DATA_HOME,
+  PACKS_DIR: PACKS_DIR,
+  STATE_FILE: STATE_FILE,
+  readFile: readFile,
+  readState: readState,
+  currentPack: currentPack,
+  load: load
+};
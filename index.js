@@ -5,19 +5,38 @@ const pkg = require('./package.json');
 const program = require('commander');
 const fs = require('fs');
 const async = require('async');
-const childProcess = require('child_process');
 const logger = require('./logger.js');
 const plist = require('plist');
 const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const stream = require('stream');
+const readline = require('readline');
 const handlebars = require('handlebars');
 const copydir = require('copy-dir');
 const split = require('split');
 const deepdiff = require('deep-diff').diff;
 const readChunk = require('read-chunk');
-const iOSversions = require('./ios-versions.js');
+const backends = require('./backends');
+const issueRules = require('./rules');
+const crashreportParser = require('./crashreport-parser.js');
+const backupParser = require('./backup-parser.js');
+const profileParser = require('./profile-parser.js');
+const pprofileParser = require('./pprofile-parser.js');
+const syslogParser = require('./syslog-parser.js');
+const Ajv = require('ajv');
+const datasets = require('./datasets.js');
+const datapacks = require('./datapacks.js');
+const ioc = require('./ioc.js');
 
 const __base = path.join(__dirname, '/');
 
+// how many ideviceinfo domain queries to run at once
+const DEVICEINFO_CONCURRENCY = 4;
+
+// number of processes listed in the syslog summary
+const SYSLOG_TOP_PROCESSES = 10;
+
 program
   .version(pkg.version)
   .description('Incident response tool for iPhone or iPad')
@@ -28,10 +47,19 @@ program
   .arguments('<dir>')
   .description('Extract IR artifacts from iPhone or iPad')
   .option('-b, --backup', 'Backup iOS device')
+  .option('-u, --udid <udid>', 'Extract from the device with this UDID when several are attached')
+  .option('-a, --all', 'Extract from every attached device')
+  .option('--backend <name>', 'Device tool backend: libimobiledevice (default), fixture or path to a backend module')
+  .option('--fixture-dir <dir>', 'Directory of recorded tool output for the fixture backend')
+  .option('--domains <domains>', 'Comma separated list of ideviceinfo domains to collect')
+  .option('--domain-profile <profile>', 'Named ideviceinfo domain profile: minimal, standard (default) or exhaustive')
+  .option('--domain-config <file>', 'JSON file with additional ideviceinfo domain profiles')
+  .option('--examiner <name>', 'Examiner name recorded in the extraction manifest')
+  .option('--case-number <number>', 'Case number recorded in the extraction manifest')
   .option('--syslog-timeout <seconds>', 'Optional timeout for how long to collect syslong, e.g. 86400 to collect for a day')
   .action(function (dir, options) {
     if (program.debug) { logger.transports.console.level = 'debug'; }
-    extractArtifacts(dir, options, function (err, runStatus) {
+    extractDevices(dir, options, function (err, runStatus) {
       if (err) {
         logger.error(err);
       } else {
@@ -40,18 +68,62 @@ program
     });
   });
 
+program
+  .command('verify')
+  .arguments('<dir>')
+  .description('Verify extracted artifacts in <dir> against its manifest')
+  .action(function (dir) {
+    if (program.debug) { logger.transports.console.level = 'debug'; }
+    verifyArtifacts(dir, function (err, runStatus) {
+      if (err) {
+        logger.error(err.message);
+        process.exitCode = 1;
+      } else {
+        logger.info(runStatus);
+      }
+    });
+  });
+
 program
   .command('process')
   .arguments('<dir>')
   .description('Process extracted artifacts in <dir>')
-  .action(function (dir) {
+  .option('--syslog-rules <file>', 'JSON or YAML file with additional syslog indicator rules')
+  .option('--backup-password <password>', 'Password to decrypt an encrypted backup (prompted for when omitted), visible in ps and shell history')
+  .option('--backup-password-file <file>', 'File holding the password to decrypt an encrypted backup')
+  .option('--profile-trust <file>', 'JSON or YAML file with trusted root CA fingerprints, MDM hosts and proxy hosts')
+  .option('--entitlement-catalog <file>', 'JSON or YAML file with additional entitlement risk weights')
+  .option('--ioc-db <file>', 'JSON, YAML or STIX 2 file with additional stalkerware and spyware indicators')
+  .option('--rules-dir <dir>', 'Directory of additional issue rules, can be repeated', collectList, [])
+  .option('--enable-rule <ids>', 'Comma separated issue rule ids to turn on, can be repeated', collectList, [])
+  .option('--disable-rule <ids>', 'Comma separated issue rule ids to skip, can be repeated', collectList, [])
+  .action(function (dir, options) {
     if (program.debug) { logger.transports.console.level = 'debug'; }
 
+    // fail before processing rather than running without the spyware check
+    if (options.iocDb) {
+      try {
+        ioc.load(options.iocDb);
+      } catch (err) {
+        logger.error(err.message);
+        process.exitCode = 1;
+        return;
+      }
+    } else {
+      logger.info('the bundled indicator database only has Pegasus process names, pass --ioc-db to match apps, profiles and domains against stalkerware and spyware indicators');
+    }
+
     async.series({
+      backupPassword: function (callback) {
+        getBackupPassword(dir, options, function (password) {
+          options.backupPassword = password;
+          callback(null, password !== null);
+        });
+      },
       processArtifacts: function (callback) {
           // process device info
         logger.info('executing processArtifacts now');
-        processArtifacts(dir, function (err, results) {
+        processArtifacts(dir, options, function (err, results) {
           if (err) {
             logger.warn('error in processArtifacts: %s', err);
           } else {
@@ -62,7 +134,7 @@ program
       },
       findIssues: function (callback) {
         logger.info('executing findIssues now');
-        findIssues(dir, function (err, results) {
+        findIssues(dir, options, function (err, results) {
           if (err) {
             logger.warn(err);
           } else {
@@ -77,6 +149,59 @@ program
     });
   });
 
+program
+  .command('rules')
+  .arguments('<action>')
+  .description('Manage issue rules, <action> is list')
+  .option('--rules-dir <dir>', 'Directory of additional issue rules, can be repeated', collectList, [])
+  .option('--enable-rule <ids>', 'Comma separated issue rule ids to turn on, can be repeated', collectList, [])
+  .option('--disable-rule <ids>', 'Comma separated issue rule ids to skip, can be repeated', collectList, [])
+  .action(function (action, options) {
+    if (program.debug) { logger.transports.console.level = 'debug'; }
+    if (action !== 'list') {
+      logger.error('unknown rules action %s, expected list', action);
+      process.exitCode = 1;
+      return;
+    }
+    try {
+      listRules(options);
+    } catch (err) {
+      logger.error(err.message);
+      process.exitCode = 1;
+    }
+  });
+
+program
+  .command('update-data')
+  .description('Import a signed data pack of iOS versions, IOCs, entitlements and rules')
+  .option('--from <file>', 'Data pack to import, a tarball or zip')
+  .option('--signature <file>', 'Detached signature of the pack, defaults to <file>.sig')
+  .option('--public-key <file>', 'PEM public key to verify the signature, defaults to the keys in ~/.ios-triage/keys')
+  .option('--allow-downgrade', 'Install a data pack older than the newest installed one')
+  .option('--activate <version>', 'Switch to an installed data pack version')
+  .option('--rollback', 'Go back to the data pack that was current before this one')
+  .action(function (options) {
+    if (program.debug) { logger.transports.console.level = 'debug'; }
+    const done = function (err, runStatus) {
+      if (err) {
+        logger.error(err.message);
+        process.exitCode = 1;
+      } else {
+        logger.info(runStatus);
+      }
+    };
+    if (options.rollback) {
+      datapacks.rollback(done);
+    } else if (options.activate) {
+      datapacks.activate(options.activate, done);
+    } else if (options.from) {
+      datapacks.install(options.from, options, done);
+    } else {
+      logger.error('update-data needs --from <file>, --activate <version> or --rollback');
+      process.exitCode = 1;
+    }
+  });
+
 program
   .command('report')
   .arguments('<dir> [diffdir]')
@@ -108,6 +233,13 @@ if (program.args.length === 0) {
   }
 }
 
+function collectList (value, list) {
+  // repeatable options, each value can also be a comma separated list
+  return list.concat(value.split(',').map(function (item) {
+    return item.trim();
+  }).filter(Boolean));
+}
+
 function setWorkingDirectory (userOutputDir, udid, currentEpoch) {
   let workingDir = '';
   if (userOutputDir) {
@@ -136,64 +268,220 @@ function setWorkingDirectory (userOutputDir, udid, currentEpoch) {
   return (udidEpochDir);
 }
 
-function extractArtifacts (dir, options, callback) {
-  // let's first get the UDID...if we can't do this successfully, we have a problem
-  getUDID(function (err, udid) {
+function extractDevices (dir, options, callback) {
+  // --fixture-dir on its own implies the fixture backend
+  let backendName = options.backend;
+  if (!backendName && options.fixtureDir) {
+    backendName = 'fixture';
+  }
+
+  let backend = null;
+  let domains = [];
+  try {
+    backend = backends.create(backendName, options);
+    domains = resolveDomains(options);
+  } catch (err) {
+    return callback(err);
+  }
+  logger.info('using %s backend for device tools', backend.name);
+
+  // find every attached device and then pick which ones to extract from based on
+  // the --udid and --all options. each device gets its own <dir>/<udid>/<epoch> tree
+  getUDIDs(backend, function (err, udids) {
     if (err) {
-      return callback(new Error(err));
+      return callback(err);
     }
 
-    // no error getting UDID so time to fetch data
-    // first we'll setup the working directory, saving data in unique dir each time based on epoch time
-    const currentEpoch = new Date().getTime();
-    const wd = setWorkingDirectory(dir, udid, currentEpoch.toString());
+    let targets = [];
+    if (options.udid) {
+      if (udids.indexOf(options.udid) === -1) {
+        return callback(new Error('Device with UDID ' + options.udid + ' not found. Attached devices: ' + udids.join(', ')));
+      }
+      targets.push(options.udid);
+    } else if (options.all) {
+      targets = udids;
+    } else if (udids.length === 1) {
+      targets = udids;
+    } else {
+      return callback(new Error('Multiple devices attached (' + udids.join(', ') + '). Use --udid <udid> or --all'));
+    }
 
-    const idevicesyslog = getDeviceSyslog(udid, wd, options.syslogTimeout);
+    // run each device one at a time so the tools (and the host) are not swamped
+    async.mapSeries(targets, function (udid, callback) {
+      logger.info('extracting artifacts from device %s', udid);
+      extractArtifacts(backend, domains, dir, udid, options, function (err, results) {
+        if (err) {
+          logger.error('extraction failed for device %s: %s', udid, err);
+          // don't pass the error on, we still want to extract the remaining devices
+          callback(null, { 'udid': udid, 'error': err.message });
+        } else {
+          callback(null, results);
+        }
+      });
+    }, function (err, extractions) {
+      if (err) { return callback(err); }
+      const failed = extractions.filter(function (extraction) {
+        return extraction.error;
+      }).length;
+      const summary = {
+        'devices': extractions.length,
+        'succeeded': extractions.length - failed,
+        'failed': failed,
+        'extractions': extractions
+      };
+      logger.info('extraction summary: %s', JSON.stringify(summary));
+      callback(null, 'extract complete for ' + summary.succeeded + ' of ' + summary.devices + ' device(s)');
+    });
+  });
+}
 
-    async.parallel({
-      backup: function (callback) {
-        if (options.backup) {
-          doDeviceBackup(udid, wd, callback);
+function extractArtifacts (backend, domains, dir, udid, options, callback) {
+  // no error getting UDID so time to fetch data
+  // first we'll setup the working directory, saving data in unique dir each time based on epoch time
+  const currentEpoch = new Date().getTime();
+  const wd = setWorkingDirectory(dir, udid, currentEpoch.toString());
+  const collectionStart = new Date().toISOString();
+
+  let idevicesyslog = null;
+
+  async.parallel({
+    syslog: function (callback) {
+      idevicesyslog = getDeviceSyslog(backend, udid, wd, options.syslogTimeout, callback);
+    },
+    tools: function (callback) {
+      async.parallel({
+        backup: function (callback) {
+          if (options.backup) {
+            doDeviceBackup(backend, udid, wd, callback);
+          } else {
+            logger.info('Skipping device backup');
+            // this callback() is critical so async.parallel can return
+            callback();
+          }
+        },
+        deviceInfo: function (callback) {
+          getDeviceInfo(backend, udid, wd, domains, callback);
+        },
+        installedApps: function (callback) {
+          getInstalledApps(backend, udid, wd, callback);
+        },
+        provisioningProfiles: function (callback) {
+          copyProvisioningProfiles(backend, udid, wd, callback);
+        },
+        crashReports: function (callback) {
+          getCrashReports(backend, udid, wd, callback);
+        },
+        configurationProfiles: function (callback) {
+          getConfigurationProfiles(backend, udid, wd, callback);
+        }
+      }, function (err, results) {
+        // handle any errors from extraction functions
+        if (err) { logger.error('errors encountered during extraction. error: %s\nresults: %s', err, results); }
+        if (options.syslogTimeout === undefined) {
+          logger.info("completed all extraction functions so we'll now kill deviceSyslog");
+          idevicesyslog.kill('SIGINT');
         } else {
-          logger.info('Skipping device backup');
-          // this callback() is critical so async.parallel can return
-          callback();
+          logger.info('waiting %d seconds for syslog to execute', options.syslogTimeout);
         }
+        callback(null, results);
+      });
+    }
+  }, function (err, results) {
+    if (err) { logger.error('errors encountered during extraction: %s', err); }
+
+    // every tool has finished and its output is on disk so record what we collected
+    // deviceInfo reports one status per ideviceinfo domain, everything else a single status
+    const toolStatus = [results.syslog];
+    for (let extraction in results.tools) {
+      if (Array.isArray(results.tools[extraction])) {
+        toolStatus.push.apply(toolStatus, results.tools[extraction]);
+      } else if (results.tools[extraction] && results.tools[extraction].tool) {
+        toolStatus.push(results.tools[extraction]);
+      }
+    }
+
+    const manifest = {
+      'manifestVersion': 1,
+      'tool': {
+        'name': pkg.name,
+        'version': pkg.version,
+        'backend': backend.name
       },
-      deviceInfo: function (callback) {
-        getDeviceInfo(udid, wd, callback);
-      },
-      installedApps: function (callback) {
-        getInstalledApps(udid, wd, callback);
-      },
-      provisioningProfiles: function (callback) {
-        copyProvisioningProfiles(udid, wd, callback);
+      'examiner': options.examiner || null,
+      'caseNumber': options.caseNumber || null,
+      'host': os.hostname(),
+      'udid': udid,
+      'collection': {
+        'start': collectionStart,
+        'end': new Date().toISOString()
       },
-      crashReports: function (callback) {
-        getCrashReports(udid, wd, callback);
-      }
-    }, function (err, results) {
-      // handle any errors from extraction functions
-      if (err) { logger.error('errors encountered during extraction. error: %s\nresults: %s', err, results); }
-      if (options.syslogTimeout === undefined) {
-        logger.info("completed all extraction functions so we'll now kill deviceSyslog");
-        idevicesyslog.kill('SIGINT');
+      'tools': toolStatus
+    };
+
+    writeManifest(wd, manifest, function (err) {
+      if (err) {
+        logger.error('error writing extraction manifest: %s', err);
       } else {
-        logger.info('waiting %d seconds for syslog to execute', options.syslogTimeout);
+        logger.info('extraction manifest saved to %s', path.join(wd, 'manifest.json'));
       }
-      callback(null, 'extract complete');
+      // pass each domain's status back so the run summary shows incomplete device info
+      const deviceInfo = {};
+      (results.tools.deviceInfo || []).forEach(function (status) {
+        deviceInfo[status.domain || 'standard'] = status.status;
+      });
+      callback(null, { 'udid': udid, 'dir': wd, 'status': 'extract complete', 'deviceInfo': deviceInfo });
+    });
+  });
+}
+
+function resolveDomains (options) {
+  // ideviceinfo domains come from --domains or a named profile. Profiles are bundled
+  // in data/ideviceinfo-domains.json and --domain-config can add or override them
+  let domains = [];
+  if (options.domains) {
+    domains = options.domains.split(',').map(function (domain) {
+      return domain.trim();
     });
+  } else {
+    const config = datasets.load('ideviceinfo-domains.json');
+    if (options.domainConfig) {
+      const userConfig = datasets.readFile(options.domainConfig);
+      Object.assign(config.profiles, userConfig.profiles);
+      if (userConfig.defaultProfile) {
+        config.defaultProfile = userConfig.defaultProfile;
+      }
+    }
+    const profile = options.domainProfile || config.defaultProfile;
+    if (!(profile in config.profiles)) {
+      throw new Error('Unknown domain profile "' + profile + '". Available profiles: ' + Object.keys(config.profiles).join(', '));
+    }
+    logger.info('using ideviceinfo domain profile %s', profile);
+    domains = config.profiles[profile];
+  }
+
+  // the default (no domain) query is always collected since processing depends on it
+  const resolved = [''];
+  domains.forEach(function (domain) {
+    if (domain !== '' && resolved.indexOf(domain) === -1) {
+      resolved.push(domain);
+    }
   });
+  return resolved;
 }
 
-function getUDID (callback) {
-  var retval = '';
-  const udid = childProcess.spawn('idevice_id', ['-l']);
+function getUDIDs (backend, callback) {
+  const chunks = [];
+  const udid = backend.listDevices();
+
+  // if idevice_id can't be started (e.g. libimobiledevice not installed) close still fires
+  let spawnError = null;
+  udid.on('error', (err) => {
+    spawnError = err;
+  });
 
   udid.stdout.on('data', (chunk) => {
-    // FIXME: if idevice_id fires the data event more than once the this would overwrite
-    // retval which is likley problematic
-    retval = chunk;
+    // idevice_id can fire the data event more than once so collect every chunk
+    chunks.push(chunk);
   });
 
   udid.on('close', code => {
@@ -201,37 +489,40 @@ function getUDID (callback) {
     Unfortunately idevice_id returns a 0 in all situations I checked
     which differs from how ideviceinfo works. If you call idevice_id with
     an invalid parameter or no device is attached, it still returns a 0.
-    I'm going to keep this return code != 0 in here for now in case they fix
-    in the future. The work around is to test the length for retval and if it is
-    41, then we have a UDID returned!
+    So instead we parse every line of output and make sure each one looks
+    like a UDID (40 hex chars, or 24 hex chars plus a dash on newer devices).
     */
-    let udidStr = '';
-    if (retval.length === 82) {
+    if (spawnError) {
+      return callback(new Error('Could not run idevice_id: ' + spawnError.message));
+    }
+
+    const output = Buffer.concat(chunks).toString().trim();
+    if (output.length === 0) {
+      return callback(new Error('No authorized iDevice found. Plug in and authorize a device first.'));
+    }
+
+    const udids = [];
+    const lines = output.split('\n');
+    for (let i = 0; i < lines.length; i++) {
+      // newer idevice_id versions append the connection type, e.g. "<udid> (Network)"
+      const udidStr = lines[i].trim().split(' ')[0];
+      if (!/^[0-9a-fA-F-]{24,40}$/.test(udidStr)) {
+        return callback(new Error(output));
+      }
       // when an idevice has been configured for WiFi sync, idevice_id will
-      // return the UDID twice. Handling this sitaution with hardcoding :-)
-      udidStr = String.fromCharCode.apply(null, retval.slice(40));
-      logger.info('Authorized iDevice found, UDID: %s', udidStr.trim());
-      callback(null, udidStr.trim());
-    } else if (retval.length === 41) {
-      // found a valid udid so return null error and uuid value
-      // first let's make this a string and trim any newlines
-      udidStr = String.fromCharCode.apply(null, retval);
-      logger.info('Authorized iDevice found, UDID: %s', udidStr.trim());
-      callback(null, udidStr.trim());
-    } else {
-      // encountered some sort of error. If 0 len then no device attached, otherwise something else
-      if (retval.length === 0) {
-        return callback(new Error('No authorized iDevice found. Plug in and authorize a device first.'));
-      } else {
-        return callback(new Error(retval));
+      // return the UDID twice (USB and WiFi) so only keep the first one
+      if (udids.indexOf(udidStr) === -1) {
+        logger.info('Authorized iDevice found, UDID: %s', udidStr);
+        udids.push(udidStr);
       }
     }
+    callback(null, udids);
   });
 }
 
-function getDeviceSyslog (udid, wd, syslogTimeout) {
+function getDeviceSyslog (backend, udid, wd, syslogTimeout, callback) {
   const filename = 'syslog.txt';
-  const file = fs.createWriteStream(wd + '/artifacts/' + filename);
+  const file = fs.createWriteStream(path.join(wd, 'artifacts', filename));
 
   let userTimeout = 0;
   // check to see if user specified a timeout
@@ -251,148 +542,105 @@ function getDeviceSyslog (udid, wd, syslogTimeout) {
   };
 
   // call idevicesyslog binary
-  const idevicesyslog = childProcess.execFile('idevicesyslog', [], opts);
+  const idevicesyslog = backend.syslog(udid, opts);
 
   logger.info('capturing device syslog...');
 
-  // on data events, write chunks to file
-  idevicesyslog.stdout.on('data', (chunk) => {
-    file.write(chunk);
-  });
-
-  // after Stream ends, close the file, inform user of saved file
-  idevicesyslog.stdout.on('end', () => {
-    file.end();
-    logger.debug('in getDeviceSyslog, end event fired');
-  });
-
-  idevicesyslog.on('close', function (code) {
-    if (code !== 0) {
-      logger.error('idevicesyslog returned error code ' + code);
-      // return callback(new Error('idevicesyslog returned error code ' + code));
+  captureToolOutput('idevicesyslog', idevicesyslog, file, function (err, status) {
+    // syslog is normally stopped by us (SIGINT) or the timeout so a signal isn't an error
+    if (status.exitCode !== 0 && !status.signal) {
+      logger.error('idevicesyslog returned error code %s', status.exitCode);
     } else {
-      logger.debug('in getDeviceSyslog, close event triggered without error');
       logger.info('iOS Device syslog saved');
-      // callback(null, idevicesyslog);
     }
+    callback(err, status);
   });
 
-  // for syslog, we call back immediately and return the childProcess so the calling program
-  // has control over deciding when to kill the process. Could be immediately after other
-  // extraction is complete or after a timeout value
-  // callback(null, idevicesyslog);
+  // for syslog, we return the childProcess so the calling program has control over
+  // deciding when to kill the process. Could be immediately after other extraction
+  // is complete or after a timeout value. callback fires once syslog is on disk.
   return (idevicesyslog);
 }
 
-function getDeviceInfo (udid, wd, callback) {
+function getDeviceInfo (backend, udid, wd, domains, callback) {
   // idevice info can be run with no "domains" or domains supplied, netting more info
-  // we'll build an array of domains to call and do this in a loop
-
-  const domains = [
-    '',
-    'com.apple.disk_usage',
-    'com.apple.disk_usage.factory',
-    'com.apple.mobile.battery',
-    'com.apple.iqagent',
-    'com.apple.purplebuddy',
-    'com.apple.PurpleBuddy',
-    'com.apple.mobile.chaperone',
-    'com.apple.mobile.third_party_termination',
-    'com.apple.mobile.lockdownd',
-    'com.apple.mobile.lockdown_cache',
-    'com.apple.xcode.developerdomain',
-    'com.apple.international',
-    'com.apple.mobile.data_sync',
-    'com.apple.mobile.tethered_sync',
-    'com.apple.mobile.mobile_application_usage',
-    'com.apple.mobile.backup',
-    'com.apple.mobile.nikita',
-    'com.apple.mobile.restriction',
-    'com.apple.mobile.user_preferences',
-    'com.apple.mobile.sync_data_class',
-    'com.apple.mobile.software_behavior',
-    'com.apple.mobile.iTunes.SQLMusicLibraryPostProcessCommands',
-    'com.apple.mobile.iTunes.accessories',
-    'com.apple.mobile.internal',
-    'com.apple.mobile.wireless_lockdown',
-    'com.apple.fairplay',
-    'com.apple.iTunes',
-    'com.apple.mobile.iTunes.store',
-    'com.apple.mobile.iTunes'
-  ];
-
+  // the list of domains comes from resolveDomains() so we just loop over it here
   const baseFilename = 'ideviceinfo';
-  domains.forEach(function (domain) {
+
+  // run a few ideviceinfo processes at a time and wait for every domain to finish
+  // so extractArtifacts doesn't kill syslog or write the manifest while domain files
+  // are still being written
+  async.mapLimit(domains, DEVICEINFO_CONCURRENCY, function (domain, callback) {
     let domainAddl = '';
     if (domain !== '') {
       domainAddl = '-' + domain;
     }
 
     const filename = baseFilename + domainAddl + '.xml';
-    const file = fs.createWriteStream(wd + '/artifacts/' + filename);
+    const file = fs.createWriteStream(path.join(wd, 'artifacts', filename));
 
     // call ideviceinfo binary with domain extension if present
-    let opts = ['--xml'];
-    if (domain !== '') {
-      opts.push('--domain');
-      opts.push(domain);
-    }
-    logger.debug('calling ideviceinfo with opts: %s', opts);
-    const ideviceinfo = childProcess.spawn('ideviceinfo', opts);
-
-    // on data events, write chunks to file
-    ideviceinfo.stdout.on('data', (chunk) => {
-      file.write(chunk);
-    });
-
-    // after Stream ends, close the file, inform user of saved file
-    ideviceinfo.stdout.on('end', () => {
-      file.end();
-      logger.debug('iOS Device info saved, domain: %s', domain);
-      // callback(null, ideviceinfo);
-    });
-
-    // should this event be on exit or on close?
-    // per documentation, not all Streams emit a close event
-    // https://nodejs.org/api/stream.html#stream_event_close
-    ideviceinfo.on('close', function (code) {
-      if (code !== 0) {
-        // return callback(new Error('Error: ideviceinfo (domain: ' + domain + ') returned error code ' + code));
-        logger.error('Error: ideviceinfo (domain: %s) returned error code %s', domain, code);
+    logger.debug('calling ideviceinfo with domain: %s', domain);
+    const ideviceinfo = backend.deviceInfo(udid, domain);
+
+    captureToolOutput('ideviceinfo', ideviceinfo, file, function (err, status) {
+      status.domain = domain;
+      status.file = filename;
+      if (status.exitCode !== 0) {
+        logger.error('Error: ideviceinfo (domain: %s) returned error code %s', domain, status.exitCode);
+        status.status = 'failed';
+      } else if (isEmptyDomainFile(path.join(wd, 'artifacts', filename))) {
+        logger.debug('iOS Device info empty, domain: %s', domain);
+        status.status = 'empty';
+      } else {
+        logger.debug('iOS Device info saved, domain: %s', domain);
+        status.status = 'ok';
       }
+      callback(err, status);
     });
+  }, function (err, domainStatus) {
+    const counts = { 'ok': 0, 'empty': 0, 'failed': 0 };
+    domainStatus.forEach(function (status) {
+      counts[status.status]++;
+    });
+    logger.info('iOS Device info saved, domains ok: %d, empty: %d, failed: %d', counts.ok, counts.empty, counts.failed);
+    callback(err, domainStatus);
   });
-  // does this callback immediately?
-  callback(null, 'complete device info extraction');
 }
 
-function getInstalledApps (udid, wd, callback) {
+function isEmptyDomainFile (file) {
+  // ideviceinfo exits 0 for domains the device doesn't populate, writing either
+  // nothing or an empty dict
+  try {
+    if (fs.statSync(file).size === 0) {
+      return true;
+    }
+    const obj = plist.parse(fs.readFileSync(file, 'utf8'));
+    return (obj === null || typeof obj !== 'object' || Object.keys(obj).length === 0);
+  } catch (err) {
+    // not valid plist but the tool succeeded, keep it as collected data
+    return false;
+  }
+}
+
+function getInstalledApps (backend, udid, wd, callback) {
   const filename = 'installed-apps.xml';
-  const file = fs.createWriteStream(wd + '/artifacts/' + filename);
+  const file = fs.createWriteStream(path.join(wd, 'artifacts', filename));
 
   // call ideviceinstaller binary
-  const ideviceinstaller = childProcess.spawn('ideviceinstaller', ['--list-apps', '-o', 'list_all', '-o', 'xml']);
-
-  // on data events, write chunks to file
-  ideviceinstaller.stdout.on('data', (chunk) => {
-    file.write(chunk);
-  });
+  const ideviceinstaller = backend.listApps(udid);
 
-  // after Stream ends, close the file, inform user of saved file
-  ideviceinstaller.stdout.on('end', () => {
-    file.end();
-    logger.info('iOS Device installed apps saved');
-    callback(null, ideviceinstaller);
-  });
-
-  ideviceinstaller.on('close', function (code) {
-    if (code !== 0) {
-      callback(new Error('ideviceinstaller returned error code ' + code));
+  captureToolOutput('ideviceinstaller', ideviceinstaller, file, function (err, status) {
+    if (status.exitCode !== 0) {
+      logger.error('ideviceinstaller returned error code %s', status.exitCode);
+    } else {
+      logger.info('iOS Device installed apps saved');
     }
+    callback(err, status);
   });
 }
 
-function copyProvisioningProfiles (udid, wd, callback) {
+function copyProvisioningProfiles (backend, udid, wd, callback) {
   // ideviceprovision writes any pprofiles to disk vs. returning to stdout
   // creating a directory to store this data and putting stdout into log file
   const pprofilesDir = path.join(wd, 'artifacts', 'pprofiles');
@@ -401,98 +649,349 @@ function copyProvisioningProfiles (udid, wd, callback) {
   }
 
   const filename = 'ideviceprovision.log';
-  const file = fs.createWriteStream(pprofilesDir + filename);
+  const file = fs.createWriteStream(path.join(pprofilesDir, filename));
 
   // call ideviceprovision binary
-  const ideviceprovision = childProcess.spawn('ideviceprovision', ['copy', pprofilesDir]);
+  const ideviceprovision = backend.copyProvisioningProfiles(udid, pprofilesDir);
 
-  // on data events, write chunks to file
-  ideviceprovision.stdout.on('data', (chunk) => {
-    file.write(chunk);
-  });
-
-  // after Stream ends, close the file, inform user of saved file
-  ideviceprovision.stdout.on('end', () => {
-    file.end();
-    logger.info('Installed provisioning profiles saved');
-    callback(null, ideviceprovision);
-  });
-
-  ideviceprovision.on('close', function (code) {
-    if (code !== 0) {
-      callback(new Error('ideviceprovision returned error code ' + code));
+  captureToolOutput('ideviceprovision', ideviceprovision, file, function (err, status) {
+    if (status.exitCode !== 0) {
+      logger.error('ideviceprovision returned error code %s', status.exitCode);
+    } else {
+      logger.info('Installed provisioning profiles saved');
     }
+    callback(err, status);
   });
 }
 
-function getCrashReports (udid, wd, callback) {
+function getCrashReports (backend, udid, wd, callback) {
   // idevicecrashreport writes multiple files vs. returning to stdout
   // creating a directory to store this data and putting stdout into log file
-  const crashreportsDir = wd + '/artifacts/crash_reports/';
+  const crashreportsDir = path.join(wd, 'artifacts', 'crash_reports');
   if (!fs.existsSync(crashreportsDir)) {
     fs.mkdirSync(crashreportsDir);
   }
 
   const filename = 'crashlogs.txt';
-  const file = fs.createWriteStream(crashreportsDir + filename);
+  const file = fs.createWriteStream(path.join(crashreportsDir, filename));
 
-  // call ideviceprovision binary
-  const idevicecrashreport = childProcess.spawn('idevicecrashreport', ['--extract', '--keep', crashreportsDir]);
+  // call idevicecrashreport binary
+  const idevicecrashreport = backend.crashReports(udid, crashreportsDir);
 
-  // on data events, write chunks to file
-  idevicecrashreport.stdout.on('data', (chunk) => {
-    file.write(chunk);
+  captureToolOutput('idevicecrashreport', idevicecrashreport, file, function (err, status) {
+    if (status.exitCode !== 0) {
+      logger.error('idevicecrashreport returned error code %s', status.exitCode);
+    } else {
+      logger.info('Crash reports and log saved');
+    }
+    callback(err, status);
   });
+}
 
-  // after Stream ends, close the file, inform user of saved file
-  idevicecrashreport.stdout.on('end', () => {
-    file.end();
-    logger.info('Crash reports and log saved');
-    callback(null, idevicecrashreport);
-  });
+function getConfigurationProfiles (backend, udid, wd, callback) {
+  // the profile service lists installed configuration profiles even when no backup is taken.
+  // It is optional for backends, the default one needs pymobiledevice3 for it
+  if (typeof backend.configurationProfiles !== 'function') {
+    logger.info('Backend %s can not list configuration profiles, skipping', backend.name);
+    return callback();
+  }
+  const profilesDir = path.join(wd, 'artifacts', 'profiles');
+  if (!fs.existsSync(profilesDir)) {
+    fs.mkdirSync(profilesDir);
+  }
 
-  idevicecrashreport.on('close', function (code) {
-    if (code !== 0) {
-      return callback(new Error('idevicecrashreport returned error code ' + code));
+  const file = fs.createWriteStream(path.join(profilesDir, 'installed-profiles.json'));
+
+  // call pymobiledevice3 profile list
+  const profileList = backend.configurationProfiles(udid);
+
+  captureToolOutput('pymobiledevice3', profileList, file, function (err, status) {
+    if (status.error && status.error.indexOf('ENOENT') !== -1) {
+      logger.info('pymobiledevice3 is not installed, skipping installed configuration profiles');
+    } else if (status.exitCode !== 0) {
+      logger.error('pymobiledevice3 profile list returned error code %s', status.exitCode);
+    } else {
+      logger.info('Installed configuration profiles saved');
     }
+    callback(err, status);
   });
 }
 
-function doDeviceBackup (udid, wd, callback) {
+function doDeviceBackup (backend, udid, wd, callback) {
   // idevicebackup2 backup --full .
   // idevicebackup2 writes many files and directories vs. returning to stdout
   // creating a directory to store this data and putting stdout into log file
-  const backupDir = wd + '/artifacts/backup/';
+  const backupDir = path.join(wd, 'artifacts', 'backup');
   if (!fs.existsSync(backupDir)) {
     fs.mkdirSync(backupDir);
   }
 
   const filename = 'backup_log.txt';
-  const file = fs.createWriteStream(backupDir + filename);
+  const file = fs.createWriteStream(path.join(backupDir, filename));
 
-  // call ideviceprovision binary
-  const idevicebackup2 = childProcess.spawn('idevicebackup2', ['backup', '--full', backupDir]);
+  // call idevicebackup2 binary
+  const idevicebackup2 = backend.backup(udid, backupDir);
+
+  captureToolOutput('idevicebackup2', idevicebackup2, file, function (err, status) {
+    if (status.exitCode !== 0) {
+      logger.error('idevicebackup2 returned error code %s', status.exitCode);
+    } else {
+      logger.info('Device backup and log saved');
+    }
+    // the device decides whether backups are encrypted, note it for the processing step
+    const backupRoot = backupParser.findBackupRoot(backupDir);
+    if (backupRoot !== null) {
+      try {
+        status.encrypted = (backupParser.readPlist(path.join(backupRoot, 'Manifest.plist')) || {}).IsEncrypted === true;
+      } catch (err) {
+        logger.warn('could not read backup Manifest.plist: %s', err);
+      }
+      if (status.encrypted) {
+        logger.info('Device backup is encrypted, the backup password is needed to process it');
+      }
+    }
+    callback(err, status);
+  });
+}
+
+function captureToolOutput (tool, toolProcess, file, callback) {
+  // writes a tool's stdout to file and calls back once the tool has exited *and* the
+  // file is flushed to disk. The status (exit code and timings) ends up in manifest.json
+  const status = {
+    'tool': tool,
+    'start': new Date().toISOString()
+  };
+
+  async.parallel({
+    output: function (callback) {
+      stream.pipeline(toolProcess.stdout, file, function (err) {
+        if (err) { logger.debug('%s output ended early: %s', tool, err); }
+        callback();
+      });
+    },
+    exit: function (callback) {
+      // a process that fails to start emits error and may or may not emit close
+      let exited = false;
+      const onExit = function (code, signal) {
+        if (!exited) {
+          exited = true;
+          status.exitCode = code;
+          if (signal) { status.signal = signal; }
+          callback();
+        }
+      };
+      toolProcess.on('error', function (err) {
+        status.error = err.message;
+        onExit(null);
+      });
+      toolProcess.on('close', onExit);
+    }
+  }, function () {
+    status.end = new Date().toISOString();
+    callback(null, status);
+  });
+}
+
+function listFiles (dir) {
+  // recursively list every file under dir, returned as paths relative to dir
+  let files = [];
+  fs.readdirSync(dir).forEach(function (entry) {
+    const entryPath = path.join(dir, entry);
+    if (fs.statSync(entryPath).isDirectory()) {
+      files = files.concat(listFiles(entryPath).map(function (file) {
+        return path.join(entry, file);
+      }));
+    } else {
+      files.push(entry);
+    }
+  });
+  return files;
+}
+
+function readFirstLine (file) {
+  // reads up to the first newline, capped so a file without newlines isn't read whole
+  const maxLength = 256 * 1024;
+  const chunk = Buffer.alloc(4096);
+  const chunks = [];
+  let length = 0;
+  const fd = fs.openSync(file, 'r');
+  try {
+    while (length < maxLength) {
+      const bytesRead = fs.readSync(fd, chunk, 0, chunk.length, length);
+      if (bytesRead === 0) {
+        break;
+      }
+      const newline = chunk.indexOf(10);
+      if (newline !== -1 && newline < bytesRead) {
+        chunks.push(Buffer.from(chunk.slice(0, newline)));
+        length += newline;
+        break;
+      }
+      chunks.push(Buffer.from(chunk.slice(0, bytesRead)));
+      length += bytesRead;
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+  return Buffer.concat(chunks).toString();
+}
+
+function hashFile (file, callback) {
+  const hash = crypto.createHash('sha256');
+  fs.createReadStream(file)
+    .on('error', callback)
+    .on('data', function (chunk) {
+      hash.update(chunk);
+    })
+    .on('end', function () {
+      callback(null, hash.digest('hex'));
+    });
+}
 
-  // on data events, write chunks to file
-  idevicebackup2.stdout.on('data', (chunk) => {
-    file.write(chunk);
+function writeManifest (wd, manifest, callback) {
+  // hash every file under artifacts/ and write manifest.json next to it
+  const artifactFiles = listFiles(path.join(wd, 'artifacts'));
+
+  async.mapLimit(artifactFiles, 4, function (file, callback) {
+    const artifactFile = path.join(wd, 'artifacts', file);
+    hashFile(artifactFile, function (err, sha256) {
+      if (err) { return callback(err); }
+      callback(null, {
+        // always use forward slashes so manifests compare across platforms
+        'path': ['artifacts'].concat(file.split(path.sep)).join('/'),
+        'size': fs.statSync(artifactFile).size,
+        'sha256': sha256
+      });
+    });
+  }, function (err, artifacts) {
+    if (err) { return callback(err); }
+    manifest.artifacts = artifacts;
+    fs.writeFile(path.join(wd, 'manifest.json'), JSON.stringify(manifest, null, 2), 'utf8', callback);
   });
+}
+
+function verifyArtifacts (dir, callback) {
+  const manifestFile = path.join(dir, 'manifest.json');
+  const artifactPath = path.join(dir, 'artifacts');
+
+  let manifest = {};
+  try {
+    manifest = JSON.parse(fs.readFileSync(manifestFile, 'utf8'));
+  } catch (err) {
+    return callback(new Error('Could not read extraction manifest ' + manifestFile + ': ' + err.message));
+  }
+  // manifests written before artifacts were hashed, or edited by hand, have nothing to check
+  if (!Array.isArray(manifest.artifacts)) {
+    return callback(new Error('Extraction manifest ' + manifestFile + ' has no artifacts list, it was written by an older ios-triage or modified'));
+  }
+
+  const results = {
+    'ok': [],
+    'modified': [],
+    'missing': [],
+    'unlisted': []
+  };
+
+  async.eachLimit(manifest.artifacts, 4, function (artifact, callback) {
+    const artifactFile = path.join(dir, artifact.path.split('/').join(path.sep));
+    if (!fs.existsSync(artifactFile)) {
+      logger.warn('artifact missing: %s', artifact.path);
+      results.missing.push(artifact.path);
+      return callback();
+    }
+    hashFile(artifactFile, function (err, sha256) {
+      if (err) { return callback(err); }
+      if (sha256 !== artifact.sha256 || fs.statSync(artifactFile).size !== artifact.size) {
+        logger.warn('artifact modified: %s (expected sha256 %s, found %s)', artifact.path, artifact.sha256, sha256);
+        results.modified.push(artifact.path);
+      } else {
+        results.ok.push(artifact.path);
+      }
+      callback();
+    });
+  }, function (err) {
+    if (err) { return callback(err); }
 
-  // after Stream ends, close the file, inform user of saved file
-  idevicebackup2.stdout.on('end', () => {
-    file.end();
-    logger.info('Device backup and log saved');
-    callback(null, idevicebackup2);
+    // files added to artifacts/ after extraction are worth knowing about too
+    const listed = manifest.artifacts.map(function (artifact) {
+      return artifact.path;
+    });
+    if (fs.existsSync(artifactPath)) {
+      listFiles(artifactPath).forEach(function (file) {
+        const relativePath = ['artifacts'].concat(file.split(path.sep)).join('/');
+        if (listed.indexOf(relativePath) === -1) {
+          logger.warn('artifact not in manifest: %s', relativePath);
+          results.unlisted.push(relativePath);
+        }
+      });
+    }
+
+    const summary = 'verified ' + manifest.artifacts.length + ' artifacts: ' + results.ok.length + ' ok, ' +
+      results.modified.length + ' modified, ' + results.missing.length + ' missing, ' +
+      results.unlisted.length + ' not in manifest';
+    if (results.modified.length || results.missing.length || results.unlisted.length) {
+      return callback(new Error(summary));
+    }
+    callback(null, summary);
   });
+}
+
+function getBackupPassword (dir, options, callback) {
+  // the password is only kept in memory, never logged or written to disk. The file and the
+  // environment variable are the safer ways to pass it, arguments end up in ps output and
+  // shell history
+  if (options.backupPassword) {
+    logger.warn('--backup-password shows up in ps output and shell history, prefer --backup-password-file or IOS_TRIAGE_BACKUP_PASSWORD');
+    return callback(options.backupPassword);
+  }
+  if (options.backupPasswordFile) {
+    try {
+      return callback(fs.readFileSync(options.backupPasswordFile, 'utf8').replace(/\r?\n$/, '') || null);
+    } catch (err) {
+      logger.warn('could not read backup password file %s: %s', options.backupPasswordFile, err.message);
+      return callback(null);
+    }
+  }
+  if (process.env.IOS_TRIAGE_BACKUP_PASSWORD) {
+    return callback(process.env.IOS_TRIAGE_BACKUP_PASSWORD);
+  }
+  const backupRoot = backupParser.findBackupRoot(path.join(dir, 'artifacts', 'backup'));
+  if (backupRoot === null) {
+    return callback(null);
+  }
 
-  idevicebackup2.on('close', function (code) {
-    if (code !== 0) {
-      callback(new Error('idevicebackup2 returned error code ' + code));
+  let encrypted = false;
+  try {
+    encrypted = (backupParser.readPlist(path.join(backupRoot, 'Manifest.plist')) || {}).IsEncrypted === true;
+  } catch (err) {
+    logger.warn('could not read backup Manifest.plist: %s', err);
+  }
+  if (!encrypted) {
+    return callback(null);
+  }
+  if (!process.stdin.isTTY) {
+    logger.warn('backup is encrypted, pass --backup-password-file, --backup-password or set IOS_TRIAGE_BACKUP_PASSWORD to decrypt it');
+    return callback(null);
+  }
+
+  // readline echoes what is typed, so mute its output once the question is shown
+  let muted = false;
+  const output = new stream.Writable({
+    write: function (chunk, encoding, done) {
+      if (!muted) { process.stdout.write(chunk, encoding); }
+      done();
     }
   });
+  const rl = readline.createInterface({ input: process.stdin, output: output, terminal: true });
+  rl.question('Backup password (leave empty to skip decryption): ', function (password) {
+    rl.close();
+    process.stdout.write('\n');
+    callback(password === '' ? null : password);
+  });
+  muted = true;
 }
 
-function processArtifacts (dir, callback) {
+function processArtifacts (dir, options, callback) {
   const processedPath = path.join(dir, 'processed');
   const artifactPath = path.join(dir, 'artifacts');
 
@@ -508,7 +1007,22 @@ function processArtifacts (dir, callback) {
       logger.warn('Processed path already exists, overwriting data in %s', path.resolve(processedPath));
     }
 
-    async.parallel({
+    // record which tool and data pack produced the findings so results can be reproduced
+    const pack = datasets.currentPack();
+    const run = {
+      'tool': pkg.name,
+      'version': pkg.version,
+      'processedAt': new Date().toISOString(),
+      'dataPack': pack === null ? null : {
+        'name': pack.manifest.name || null,
+        'version': pack.version,
+        'created': pack.manifest.created || null
+      }
+    };
+    fs.writeFileSync(path.join(processedPath, 'run.json'), JSON.stringify(run, null, 2), 'utf8');
+
+    // most steps are independent, profiles also read the backup once it is opened
+    async.auto({
       artifacts: function (callback) {
     // device info
         processDeviceInfo(dir, function (err, results) {
@@ -522,7 +1036,7 @@ function processArtifacts (dir, callback) {
       },
       apps: function (callback) {
     // installed apps
-        processInstalledAppsXML(dir, function (err, results) {
+        processInstalledAppsXML(dir, options, function (err, results) {
           if (err) {
             logger.warn(err);
           } else {
@@ -566,7 +1080,18 @@ function processArtifacts (dir, callback) {
       },
       backup: function (callback) {
     // process backup
-        processBackup(dir, function (err, results) {
+        processBackup(dir, options, function (err, results, parsedBackup) {
+          if (err) {
+            logger.warn(err);
+          } else {
+            logger.info(results);
+          }
+          callback(null, parsedBackup || null);
+        });
+      },
+      signing: ['apps', 'pprofiles', function (results, callback) {
+        // match sideloaded apps to the provisioning profiles that sign them
+        correlateProvisioningProfiles(dir, function (err, results) {
           if (err) {
             logger.warn(err);
           } else {
@@ -574,24 +1099,37 @@ function processArtifacts (dir, callback) {
           }
           callback();
         });
-      }
+      }],
+      profiles: ['backup', function (results, callback) {
+        // configuration profiles
+        processConfigurationProfiles(dir, results.backup, function (err, results) {
+          if (err) {
+            logger.warn(err);
+          } else {
+            logger.info(results);
+          }
+          callback();
+        });
+      }]
     }, function (err, results) {
       if (err) {
-        logger.debug('in processArtifact async.parallel call final function: %s', err);
+        logger.debug('in processArtifact async.auto call final function: %s', err);
       } else {
-        logger.debug('in processArtifact async.parallel call final function: %s', results);
+        logger.debug('in processArtifact async.auto call final function: %s', Object.keys(results));
       }
-      callback('null', 'completed processArtifact async.parallel execution');
+      callback('null', 'completed processArtifact async.auto execution');
     });
   } // else
 }
 
-function processInstalledAppsXML (dir, callback) {
+function processInstalledAppsXML (dir, options, callback) {
   const artifactPath = path.join(dir, 'artifacts');
   const processedPath = path.join(dir, 'processed');
   const installedAppsXML = path.join(artifactPath, 'installed-apps.xml');
   const apps = {};
   apps.summary = {};
+  // per app findings keyed by bundle identifier, filled in by later processing steps
+  apps.analysis = {};
   apps.summary.entitlements = {};
   apps.summary.privacySensitiveDataAccess = {};
   apps.summary.UIBackgroundModes = {};
@@ -606,7 +1144,7 @@ function processInstalledAppsXML (dir, callback) {
   let allowArbitraryLoads = 0;
   let allowArbitraryLoadsInWebContent = 0;
   let domainsAllowedArbitraryLoads = 0;
-  // let domainsForceTLSLoads = 0;
+  let domainsForceTLSLoads = 0;
 
   async.parallel({
     processApps: function (callback) {
@@ -616,12 +1154,28 @@ function processInstalledAppsXML (dir, callback) {
 
         // full app details for inspection and comparision
         apps.details = obj;
+        const validateApp = loadAppSchemaValidator();
+        apps.summary.schemaVersion = validateApp.schemaVersion;
+        apps.summary.appsWithAnomalies = 0;
+        const entitlementCatalog = loadEntitlementCatalog(options.entitlementCatalog);
+        apps.summary.entitlementRisk = { 'high': 0, 'medium': 0, 'low': 0 };
 
         for (let prop in obj) {
           // every prop in array is properties for an app
           const app = obj[prop];
 
           totalApps++;
+          // keys, values and types the schema doesn't know about
+          const anomalies = findAppAnomalies(validateApp, app);
+          apps.analysis[app.CFBundleIdentifier] = { 'anomalies': anomalies };
+          if (anomalies.length > 0) {
+            apps.summary.appsWithAnomalies++;
+          }
+          const entitlementRisk = scoreEntitlements(entitlementCatalog, app.Entitlements || {});
+          apps.analysis[app.CFBundleIdentifier].entitlementRisk = entitlementRisk;
+          if (entitlementRisk.level !== 'none') {
+            apps.summary.entitlementRisk[entitlementRisk.level]++;
+          }
           for (let attrib in app) {
             switch (attrib) {
               case 'Entitlements':
@@ -650,29 +1204,13 @@ function processInstalledAppsXML (dir, callback) {
                     case 'NSExceptionDomains':
                       for (let domain in app[attrib][transportProperty]) {
                         logger.debug('found exception for domain %s: ', domain);
-                       /*
-                        need to test to see if domain (normally and object) is set to null, e.g.
-                          {
-                          "NSExceptionDomains": {
-                            "http://guide.2demo.net/": null
-                          },
-                            "NSAllowsArbitraryLoads": true
-                          }
-                        */
-                        /*
-                        let _allowInsecureHTTPLocal = null;
-                        if ("NSExceptionAllowsInsecureHTTPLoads" in app[attrib][transportProperty][domain]) {
-                          _allowInsecureHTTPLocal = app[attrib][transportProperty][domain].NSExceptionAllowsInsecureHTTPLoads;
-                        };
-                        logger.info("found exception for domain (%s, %s): ", domain, _allowInsecureHTTPLocal);
-                        if ((_allowsInsecureHTTPLoads !== null) && (_allowsInsecureHTTPLoads === true)) {
-                        */
-                        domainsAllowedArbitraryLoads++;
-                        /*
+                        // a domain set to null (seen in the wild) has no exception settings
+                        const exception = app[attrib][transportProperty][domain] || {};
+                        if (atsExceptionValue(exception, 'AllowsInsecureHTTPLoads') === true) {
+                          domainsAllowedArbitraryLoads++;
                         } else {
                           domainsForceTLSLoads++;
-                        };
-                        */
+                        }
                       }
                       break;
                     default:
@@ -681,6 +1219,7 @@ function processInstalledAppsXML (dir, callback) {
                       break;
                   }
                 } // for loop on NSAppTransportSecurity
+                apps.analysis[app.CFBundleIdentifier].ats = evaluateATS(app[attrib]);
                 break; // NSAppTransportSecurity
               case 'UIRequiresPersistentWiFi':
                 if (app[attrib] === true) {
@@ -726,6 +1265,7 @@ function processInstalledAppsXML (dir, callback) {
             }
           }
         }
+        apps.permissions = buildPermissionMatrix(obj);
         callback(null, 'finished processing app plist');
       } catch (err) {
         // could not read apps xml or hit plist parse error
@@ -747,7 +1287,7 @@ function processInstalledAppsXML (dir, callback) {
     apps.summary.allowArbitraryLoads = allowArbitraryLoads;
     apps.summary.allowArbitraryLoadsInWebContent = allowArbitraryLoadsInWebContent;
     apps.summary.domainsAllowedArbitraryLoads = domainsAllowedArbitraryLoads;
-    // apps.summary.domainsForceTLSLoads = domainsForceTLSLoads;
+    apps.summary.domainsForceTLSLoads = domainsForceTLSLoads;
 
     logger.debug('installed apps xml processed, writing to %s', path.join(processedPath, 'installedApps.json'));
     const parsedAppsJSON = JSON.stringify(apps);
@@ -761,6 +1301,248 @@ function processInstalledAppsXML (dir, callback) {
   });
 }
 
+function buildPermissionMatrix (appList) {
+  // map each privacy permission to the apps declaring it, along with the usage description
+  // the app shows the user. The matrix rows feed the sortable permissions page
+  const catalog = datasets.load('permissions.json');
+  const permissionsByKey = {};
+  catalog.permissions.forEach(function (permission) {
+    permissionsByKey[permission.key] = permission;
+  });
+
+  const permissions = {};
+  const matrix = [];
+  appList.forEach(function (app) {
+    const declared = {};
+    Object.keys(app).filter(function (attrib) {
+      return attrib.endsWith('UsageDescription');
+    }).forEach(function (key) {
+      // keys missing from the catalog are kept under their own name
+      const permission = permissionsByKey[key] || { 'id': key, 'label': key };
+      // several keys can map to one permission (NSLocationAlwaysUsageDescription and
+      // NSLocationAlwaysAndWhenInUseUsageDescription), list the app once per permission
+      if (permission.id in declared) {
+        return;
+      }
+      if (!(permission.id in permissions)) {
+        permissions[permission.id] = { 'label': permission.label, 'apps': [] };
+      }
+      permissions[permission.id].apps.push({
+        'bundleId': app.CFBundleIdentifier,
+        'name': app.CFBundleName || app.CFBundleDisplayName || null,
+        'key': key,
+        'description': String(app[key])
+      });
+      declared[permission.id] = String(app[key]);
+    });
+    if (Object.keys(declared).length === 0) {
+      return;
+    }
+
+    // combinations of permissions and background modes that stalkerware relies on
+    const backgroundModes = app.UIBackgroundModes || [];
+    const combinations = catalog.combinations.filter(function (combination) {
+      return combination.permissions.every(function (id) { return id in declared; }) &&
+        combination.backgroundModes.some(function (mode) { return backgroundModes.indexOf(mode) !== -1; });
+    }).map(function (combination) {
+      return combination.description;
+    });
+
+    matrix.push({
+      'bundleId': app.CFBundleIdentifier,
+      'name': app.CFBundleName || app.CFBundleDisplayName || null,
+      'type': app.ApplicationType || null,
+      'declared': declared,
+      'count': Object.keys(declared).length,
+      'combinations': combinations
+    });
+  });
+
+  // fixed column order for the matrix page, one cell per permission on every row
+  const columns = Object.keys(permissions).sort().map(function (id) {
+    return { 'id': id, 'label': permissions[id].label, 'apps': permissions[id].apps.length };
+  });
+  matrix.forEach(function (row) {
+    row.cells = columns.map(function (column) {
+      return { 'declared': column.id in row.declared, 'description': row.declared[column.id] || null };
+    });
+  });
+
+  return { 'permissions': permissions, 'columns': columns, 'matrix': matrix };
+}
+
+function evaluateATS (ats) {
+  // per app App Transport Security report. Since iOS 10 NSAllowsArbitraryLoads is ignored
+  // when any of the more specific keys are set
+  const report = {
+    'allowsArbitraryLoads': ats.NSAllowsArbitraryLoads === true,
+    'allowsArbitraryLoadsInWebContent': ats.NSAllowsArbitraryLoadsInWebContent === true,
+    'allowsArbitraryLoadsForMedia': ats.NSAllowsArbitraryLoadsForMedia === true,
+    'allowsLocalNetworking': ats.NSAllowsLocalNetworking === true,
+    'disabled': false,
+    'exceptionDomains': [],
+    'insecureDomains': []
+  };
+  report.disabled = report.allowsArbitraryLoads &&
+    ['NSAllowsArbitraryLoadsInWebContent', 'NSAllowsArbitraryLoadsForMedia', 'NSAllowsLocalNetworking'].every(function (key) {
+      return ats[key] === undefined;
+    });
+
+  const domains = ats.NSExceptionDomains || {};
+  Object.keys(domains).forEach(function (domain) {
+    const exception = domains[domain];
+    const details = {
+      'domain': domain,
+      // null domains and urls instead of host names are ignored by iOS
+      'configured': exception !== null && typeof exception === 'object',
+      'validDomain': !/[/:]/.test(domain),
+      'local': isLocalDomain(domain),
+      'allowsInsecureHTTPLoads': false,
+      'minimumTLSVersion': 'TLSv1.2',
+      'requiresForwardSecrecy': true,
+      'includesSubdomains': false
+    };
+    if (details.configured) {
+      details.allowsInsecureHTTPLoads = atsExceptionValue(exception, 'AllowsInsecureHTTPLoads') === true;
+      details.minimumTLSVersion = atsExceptionValue(exception, 'MinimumTLSVersion') || 'TLSv1.2';
+      details.requiresForwardSecrecy = atsExceptionValue(exception, 'RequiresForwardSecrecy') !== false;
+      details.includesSubdomains = exception.NSIncludesSubdomains === true;
+    }
+    report.exceptionDomains.push(details);
+    if (details.allowsInsecureHTTPLoads && !details.local) {
+      report.insecureDomains.push(domain);
+    }
+  });
+  return report;
+}
+
+function atsExceptionValue (exception, key) {
+  // exceptions can use the NSException, NSThirdPartyException or older NSTemporaryException prefix
+  const prefixes = ['NSException', 'NSThirdPartyException', 'NSTemporaryException', 'NSTemporaryThirdPartyException'];
+  for (let i = 0; i < prefixes.length; i++) {
+    if (exception[prefixes[i] + key] !== undefined) {
+      return exception[prefixes[i] + key];
+    }
+  }
+  return undefined;
+}
+
+function isLocalDomain (domain) {
+  const host = domain.toLowerCase();
+  return host === 'localhost' || host.endsWith('.local') || host.endsWith('.localhost') ||
+    /^127\./.test(host) || /^10\./.test(host) || /^192\.168\./.test(host) ||
+    /^172\.(1[6-9]|2[0-9]|3[01])\./.test(host) || host.indexOf('.') === -1;
+}
+
+function loadEntitlementCatalog (userCatalogFile) {
+  // bundled catalog in data/entitlements.json plus an optional user file in the same
+  // format. A user entry for the same entitlement replaces the bundled one
+  const catalog = datasets.load('entitlements.json').entitlements;
+  if (userCatalogFile) {
+    datasets.readFile(userCatalogFile).entitlements.forEach(function (userEntry) {
+      const existing = catalog.findIndex(function (entry) {
+        return entry.entitlement === userEntry.entitlement;
+      });
+      if (existing !== -1) {
+        catalog[existing] = userEntry;
+      } else {
+        catalog.push(userEntry);
+      }
+    });
+  }
+  return catalog;
+}
+
+function scoreEntitlements (catalog, entitlements) {
+  const risky = [];
+  Object.keys(entitlements).forEach(function (entitlement) {
+    const value = entitlements[entitlement];
+    // the most specific catalog entry wins, an exact name beats a trailing * pattern
+    let entry = null;
+    catalog.forEach(function (candidate) {
+      const pattern = candidate.entitlement;
+      const matches = pattern.endsWith('*') ? entitlement.startsWith(pattern.slice(0, -1)) : pattern === entitlement;
+      if (matches && (entry === null || (entry.entitlement.endsWith('*') && (!pattern.endsWith('*') || pattern.length > entry.entitlement.length)))) {
+        entry = candidate;
+      }
+    });
+    if (entry === null || value === false) {
+      return;
+    }
+    if (entry.when === 'true' && value !== true) {
+      return;
+    }
+    if (entry.when === 'wildcard' && ![].concat(value).some(function (item) { return String(item).endsWith('*'); })) {
+      return;
+    }
+    risky.push({
+      'entitlement': entitlement,
+      'weight': entry.weight,
+      'private': entry.private === true,
+      'description': entry.description
+    });
+  });
+
+  const score = risky.reduce(function (total, item) {
+    return total + item.weight;
+  }, 0);
+  let level = 'none';
+  if (score >= 10) {
+    level = 'high';
+  } else if (score >= 5) {
+    level = 'medium';
+  } else if (score > 0) {
+    level = 'low';
+  }
+  return { 'score': score, 'level': level, 'entitlements': risky };
+}
+
+function loadAppSchemaValidator () {
+  // schema/schema-ios-app.json is draft-04 and carries its own version so the team can
+  // track changes as new iOS releases add keys
+  const schema = JSON.parse(fs.readFileSync(path.join(__base, 'schema', 'schema-ios-app.json'), 'utf8'));
+  const ajv = new Ajv({ 'allErrors': true, 'verbose': true, 'schemaId': 'auto', 'jsonPointers': true });
+  ajv.addMetaSchema(require('ajv/lib/refs/json-schema-draft-04.json'));
+  const validate = ajv.compile(schema);
+  validate.schemaVersion = schema.version;
+  return validate;
+}
+
+function findAppAnomalies (validate, app) {
+  // plist dates and data aren't JSON types, compare the app as it ends up in apps.json
+  if (validate(JSON.parse(JSON.stringify(app)))) {
+    return [];
+  }
+  return validate.errors.map(function (error) {
+    switch (error.keyword) {
+      case 'additionalProperties':
+        return {
+          'type': 'unknownKey',
+          'path': error.dataPath + '/' + error.params.additionalProperty,
+          'message': 'key not in schema'
+        };
+      case 'enum':
+        return {
+          'type': 'unexpectedValue',
+          'path': error.dataPath,
+          'message': 'value ' + JSON.stringify(error.data) + ' not one of ' + error.params.allowedValues.join(', ')
+        };
+      case 'type':
+        return {
+          'type': 'typeMismatch',
+          'path': error.dataPath,
+          'message': 'expected ' + error.params.type
+        };
+      default:
+        return {
+          'type': error.keyword,
+          'path': error.dataPath,
+          'message': error.message
+        };
+    }
+  });
+}
+
 function processDeviceInfo (dir, callback) {
   const artifactPath = path.join(dir, 'artifacts');
   const processedPath = path.join(dir, 'processed');
@@ -846,7 +1628,12 @@ function processProvisioningProfiles (dir, callback) {
           logger.debug('parsing %s', path.join(pprofilePath, file));
           let obj = {};
           try {
-            obj = plist.parse(fs.readFileSync(path.join(pprofilePath, file), 'utf8'));
+            // the profile is CMS signed, the parser pulls out the plist and grades it
+            const parsed = pprofileParser.parse(fs.readFileSync(path.join(pprofilePath, file)));
+            if (parsed === null) {
+              throw new Error('no plist found in ' + file);
+            }
+            obj = parsed;
             pprofiles.details.push(obj);
           } catch (err) {
             /*
@@ -867,8 +1654,16 @@ function processProvisioningProfiles (dir, callback) {
         } else {
           logger.debug('pprofiles found: %d', count);
           pprofiles.summary = {
-            'pprofilesFound': count
+            'pprofilesFound': count,
+            'types': {},
+            'risk': {}
           };
+          pprofiles.details.forEach(function (pprofile) {
+            if (pprofile.analysis) {
+              pprofiles.summary.types[pprofile.analysis.type] = (pprofiles.summary.types[pprofile.analysis.type] || 0) + 1;
+              pprofiles.summary.risk[pprofile.analysis.risk] = (pprofiles.summary.risk[pprofile.analysis.risk] || 0) + 1;
+            }
+          });
           logger.debug('pprofiles processed, writing to %s', path.join(processedPath, 'pprofiles.json'));
           const pprofilesJSON = JSON.stringify(pprofiles);
           fs.writeFile(path.join(processedPath, 'pprofiles.json'), pprofilesJSON, 'utf8', function (err) {
@@ -884,37 +1679,200 @@ function processProvisioningProfiles (dir, callback) {
   });
 }
 
+function correlateProvisioningProfiles (dir, callback) {
+  const processedPath = path.join(dir, 'processed');
+  const appsFile = path.join(processedPath, 'apps.json');
+  const pprofilesFile = path.join(processedPath, 'pprofiles.json');
+
+  let apps, pprofiles;
+  try {
+    apps = JSON.parse(fs.readFileSync(appsFile, 'utf8'));
+    pprofiles = JSON.parse(fs.readFileSync(pprofilesFile, 'utf8'));
+  } catch (err) {
+    return callback(new Error('Provisioning profiles not matched to apps: ' + err));
+  }
+
+  const readable = (pprofiles.details || []).filter(function (pprofile) {
+    return pprofile.analysis;
+  });
+  readable.forEach(function (pprofile) {
+    pprofile.analysis.signedApps = [];
+  });
+
+  const appleTeams = datasets.load('apple-teams.json').teamIdentifiers;
+  let matched = 0;
+  let unmatched = 0;
+  (apps.details || []).forEach(function (app) {
+    if (!isSideloadedApp(app, appleTeams)) {
+      return;
+    }
+    const appIdentifier = (app.Entitlements || {})['application-identifier'] || null;
+    const team = appTeamIdentifier(app);
+
+    // a profile matches when it is for the app's team and its application-identifier is the
+    // app's or a wildcard covering it. The most specific match wins
+    let best = null;
+    readable.forEach(function (pprofile) {
+      const pattern = pprofile.analysis.applicationIdentifier;
+      if (!team || (pprofile.TeamIdentifier || []).indexOf(team) === -1 || !pattern || !appIdentifier) {
+        return;
+      }
+      const matches = pattern.endsWith('*') ? appIdentifier.startsWith(pattern.slice(0, -1)) : pattern === appIdentifier;
+      if (matches && (best === null || pattern.length > best.analysis.applicationIdentifier.length)) {
+        best = pprofile;
+      }
+    });
+
+    const analysis = apps.analysis[app.CFBundleIdentifier] || {};
+    if (best !== null) {
+      matched++;
+      best.analysis.signedApps.push(app.CFBundleIdentifier);
+      analysis.provisioningProfile = {
+        'uuid': best.UUID,
+        'name': best.Name,
+        'type': best.analysis.type,
+        'risk': best.analysis.risk,
+        'match': best.analysis.applicationIdentifier.endsWith('*') ? 'wildcard' : 'exact'
+      };
+    } else {
+      unmatched++;
+      analysis.provisioningProfile = null;
+    }
+    apps.analysis[app.CFBundleIdentifier] = analysis;
+  });
+
+  apps.summary.sideloadedWithProfile = matched;
+  apps.summary.sideloadedWithoutProfile = unmatched;
+  pprofiles.summary.unusedProfiles = readable.filter(function (pprofile) {
+    return pprofile.analysis.signedApps.length === 0;
+  }).length;
+
+  async.parallel([
+    function (callback) { fs.writeFile(appsFile, JSON.stringify(apps), 'utf8', callback); },
+    function (callback) { fs.writeFile(pprofilesFile, JSON.stringify(pprofiles), 'utf8', callback); }
+  ], function (err) {
+    if (err) {
+      callback(null, 'error writing provisioning profile matches to disk');
+    } else {
+      callback(null, 'matched ' + matched + ' sideloaded app(s) to provisioning profiles');
+    }
+  });
+}
+
+function appTeamIdentifier (app) {
+  // the team signing the app, from its entitlements or the application-identifier prefix
+  const entitlements = app.Entitlements || {};
+  const appIdentifier = entitlements['application-identifier'] || null;
+  return entitlements['com.apple.developer.team-identifier'] || (appIdentifier ? appIdentifier.split('.')[0] : null);
+}
+
+function isSideloadedApp (app, appleTeams) {
+  // App Store apps are re-signed by Apple, anything else needs a provisioning profile. Newer
+  // iOS versions leave SignerIdentity out, then an app signed by a team other than Apple's
+  // (data/apple-teams.json) counts as not coming from the App Store
+  if (app.ApplicationType === 'System') {
+    return false;
+  }
+  if (app.SignerIdentity !== undefined) {
+    return app.SignerIdentity !== 'Apple iPhone OS Application Signing';
+  }
+  const team = appTeamIdentifier(app);
+  return team !== null && appleTeams.indexOf(team) === -1;
+}
+
 function processSyslog (dir, callback) {
   const artifactPath = path.join(dir, 'artifacts');
   const processedPath = path.join(dir, 'processed');
   const syslogFile = path.join(artifactPath, 'syslog.txt');
-
-  try {
-    let count = 0;
-    fs.createReadStream(syslogFile)
-      .pipe(split())
-      .on('data', function (chunk) {
-        count++;
-      })
-      .on('end', function () {
-        const syslog = {};
-        syslog.summary = {
-          'lines': count
-        };
-        logger.debug('syslog processed, writing to %s', path.join(processedPath, 'syslog.json'));
-        logger.debug('syslog object: %s', JSON.stringify(syslog));
-        const syslogJSON = JSON.stringify(syslog);
-        fs.writeFile(path.join(processedPath, 'syslog.json'), syslogJSON, 'utf8', function (err) {
-          if (err) {
-            callback(null, 'error writing syslog data to disk');
-          } else {
-            callback(null, 'wrote syslog data to disk');
-          }
-        });
+  const syslogNDJSONFile = path.join(processedPath, 'syslog.ndjson');
+
+  // syslog captures can run for days so records are streamed to syslog.ndjson one per
+  // line and only the summary is kept in memory and written to syslog.json
+  let count = 0;
+  let records = 0;
+  let unparsed = 0;
+  let firstTimestamp = null;
+  let lastTimestamp = null;
+  const levels = {};
+  const processes = {};
+  let record = null;
+
+  const ndjson = fs.createWriteStream(syslogNDJSONFile);
+  const lines = split();
+
+  function writeRecord () {
+    if (record === null) { return; }
+    records++;
+    levels[record.level] = (levels[record.level] || 0) + 1;
+    processes[record.process] = (processes[record.process] || 0) + 1;
+    if (firstTimestamp === null) { firstTimestamp = record.timestamp; }
+    lastTimestamp = record.timestamp;
+    // respect backpressure so a slow disk doesn't buffer the whole syslog in memory
+    if (!ndjson.write(JSON.stringify(record) + '\n')) {
+      lines.pause();
+      ndjson.once('drain', function () {
+        lines.resume();
       });
-  } catch (err) {
-    return new Error('Syslog data not processed: ' + err);
+    }
+    record = null;
   }
+
+  fs.createReadStream(syslogFile)
+    .on('error', function (err) {
+      ndjson.end();
+      callback(new Error('Syslog data not processed: ' + err));
+    })
+    .pipe(lines)
+    .on('data', function (line) {
+      count++;
+      const parsed = syslogParser.parseLine(line);
+      if (parsed !== null) {
+        writeRecord();
+        parsed.line = count;
+        record = parsed;
+      } else if (record !== null && line !== '') {
+        // multi-line messages continue on the following lines without a header
+        record.message += '\n' + line;
+      } else if (line !== '') {
+        // e.g. idevicesyslog's [connected] banner
+        unparsed++;
+      }
+    })
+    .on('end', function () {
+      writeRecord();
+      ndjson.end();
+
+      const topProcesses = Object.keys(processes).map(function (name) {
+        return { 'process': name, 'count': processes[name] };
+      }).sort(function (a, b) {
+        return b.count - a.count;
+      }).slice(0, SYSLOG_TOP_PROCESSES);
+
+      const syslog = {};
+      syslog.summary = {
+        'lines': count,
+        'records': records,
+        'unparsed': unparsed,
+        'levels': levels,
+        'topProcesses': topProcesses,
+        'timeRange': {
+          'first': firstTimestamp,
+          'last': lastTimestamp
+        }
+      };
+      // every process seen, for matching against indicator databases
+      syslog.processes = processes;
+      logger.debug('syslog processed, writing to %s', path.join(processedPath, 'syslog.json'));
+      logger.debug('syslog object: %s', JSON.stringify(syslog));
+      const syslogJSON = JSON.stringify(syslog);
+      fs.writeFile(path.join(processedPath, 'syslog.json'), syslogJSON, 'utf8', function (err) {
+        if (err) {
+          callback(null, 'error writing syslog data to disk');
+        } else {
+          callback(null, 'wrote syslog data to disk');
+        }
+      });
+    });
 }
 
 function processCrashReports (dir, callback) {
@@ -927,6 +1885,9 @@ function processCrashReports (dir, callback) {
     let count = 0;
     const filenames = [];
     fs.createReadStream(crashreportLog)
+      .on('error', function (err) {
+        callback(new Error('Crash report data not processed: ' + err));
+      })
       .pipe(split())
       .on('data', function (line) {
         if (line.startsWith('Copy: ')) {
@@ -944,25 +1905,70 @@ function processCrashReports (dir, callback) {
         };
         crashreports.details = [];
 
-        // read each log file to get properties and
+        // read each log file to get properties, classify it and parse the types we understand
+        let parsed = 0;
+        const categoryCounts = {};
         for (let i = 0; i < crashreports.summary.filenames.length; i++) {
           let filename = path.join(crashreportPath, crashreports.summary.filenames[i]);
           logger.debug('time to get details on %s', filename);
-          let fileStats = fs.statSync(filename);
-          let preview = 'Empty file';
-          if (fileStats.size > 0) {
-            if (fileStats.size < 500) {
-              preview = readChunk.sync(filename, 0, fileStats.size);
-            } else {
-              preview = readChunk.sync(filename, 0, 500);
-            }
-          }
           let fileDetails = {};
           fileDetails.filename = crashreports.summary.filenames[i];
+          if (!fs.existsSync(filename)) {
+            logger.warn('crash report %s listed in crashlogs.txt but not found', filename);
+            fileDetails.size = 0;
+            fileDetails.preview = ['File not found'];
+            fileDetails.category = crashreportParser.classify(fileDetails.filename, '');
+            categoryCounts[fileDetails.category] = (categoryCounts[fileDetails.category] || 0) + 1;
+            crashreports.details.push(fileDetails);
+            continue;
+          }
+          let fileStats = fs.statSync(filename);
           fileDetails.size = fileStats.size;
-          fileDetails.preview = preview.toString().split('\n');
+
+          // the first line (the .ips JSON header) is enough to classify a file, so big logs
+          // are not read in full
+          fileDetails.category = crashreportParser.classify(fileDetails.filename, readFirstLine(filename));
+          categoryCounts[fileDetails.category] = (categoryCounts[fileDetails.category] || 0) + 1;
+
+          let parsedDetails = null;
+          try {
+            if (fileStats.size > 0 && fileDetails.category === 'crash') {
+              parsedDetails = crashreportParser.parse(fs.readFileSync(filename, 'utf8'));
+              if (parsedDetails !== null) { fileDetails.crash = parsedDetails; }
+            } else if (fileStats.size > 0 && fileDetails.category === 'jetsam') {
+              parsedDetails = crashreportParser.parseJetsam(fs.readFileSync(filename, 'utf8'));
+              if (parsedDetails !== null) { fileDetails.jetsam = parsedDetails; }
+            } else if (fileStats.size > 0 && fileDetails.category === 'securityLog') {
+              parsedDetails = crashreportParser.parseSecurityLog(fs.readFileSync(filename, 'utf8'));
+              fileDetails.securityLog = parsedDetails;
+            }
+          } catch (err) {
+            logger.warn('could not parse %s report %s: %s', fileDetails.category, filename, err);
+          }
+
+          if (parsedDetails !== null) {
+            if (fileDetails.crash) { parsed++; }
+          } else {
+            // not a crash report we can parse so keep a preview of the file
+            let preview = 'Empty file';
+            if (fileStats.size > 0) {
+              if (fileStats.size < 500) {
+                preview = readChunk.sync(filename, 0, fileStats.size);
+              } else {
+                preview = readChunk.sync(filename, 0, 500);
+              }
+            }
+            fileDetails.preview = preview.toString().split('\n');
+          }
           crashreports.details.push(fileDetails);
         }
+        crashreports.summary.parsed = parsed;
+        // per category counts, in display order and only for categories that were found
+        crashreports.summary.categories = crashreportParser.CATEGORIES.filter(function (entry) {
+          return categoryCounts[entry.category] !== undefined;
+        }).map(function (entry) {
+          return { 'category': entry.category, 'label': entry.label, 'count': categoryCounts[entry.category] };
+        });
 
         // write processed artifact data
         logger.debug('crash report data processed, writing to %s', path.join(processedPath, 'crashreports.json'));
@@ -981,27 +1987,22 @@ function processCrashReports (dir, callback) {
   }
 }
 
-function processBackup (dir, callback) {
+function processBackup (dir, options, callback) {
   const artifactPath = path.join(dir, 'artifacts');
   const processedPath = path.join(dir, 'processed');
   const backupPath = path.join(artifactPath, 'backup');
   const backupFile = path.join(backupPath, 'backup_log.txt');
   const backup = {};
+  // opened backup, handed to the steps that read files out of it
+  let backupHandle = null;
 
   let backupFileCount = 0;
+  let backupLogFound = true;
   fs.createReadStream(backupFile)
     // handled the error event before pipe, I guess order matters here
     .on('error', function () {
-      // not flagging as error, just going to write a blank backup object
-      logger.info('Backup dir not found, skipping processing');
-      const backupJSON = JSON.stringify(backup);
-      fs.writeFile(path.join(processedPath, 'backup.json'), backupJSON, 'utf8', function (err) {
-        if (err) {
-          callback(null, 'error writing parsed backup data to disk');
-        } else {
-          callback(null, 'wrote parsed backup data to disk');
-        }
-      });
+      backupLogFound = false;
+      parseBackupDir();
     })
     .pipe(split())
     .on('data', function (line) {
@@ -1012,21 +2013,256 @@ function processBackup (dir, callback) {
         backupFileCount = line.split(' ')[1];
       }
     })
-    .on('end', function () {
-      backup.summary = {
-        'files': backupFileCount
-      };
-      logger.debug('backup processed, writing to %s', path.join(processedPath, 'backup.json'));
-      logger.debug('backup object: %s', JSON.stringify(backup));
-      const backupJSON = JSON.stringify(backup);
-      fs.writeFile(path.join(processedPath, 'backup.json'), backupJSON, 'utf8', function (err) {
+    .on('end', parseBackupDir);
+
+  function parseBackupDir () {
+    const backupRoot = backupParser.findBackupRoot(backupPath);
+    if (!backupLogFound && backupRoot === null) {
+      // not flagging as error, just going to write a blank backup object
+      logger.info('Backup dir not found, skipping processing');
+      return writeBackup();
+    }
+
+    backup.summary = {
+      'files': backupFileCount
+    };
+    if (backupRoot === null) {
+      logger.warn('no Manifest.plist found in %s, only the backup log was processed', backupPath);
+      return writeBackup();
+    }
+
+    backupParser.open(backupRoot, { 'password': options.backupPassword }, function (err, parsedBackup) {
+      if (err) {
+        logger.warn('could not parse backup in %s: %s', backupRoot, err.message);
+      } else {
+        backupHandle = parsedBackup;
+        if (parsedBackup.decryptionError) {
+          logger.warn('could not decrypt backup: %s', parsedBackup.decryptionError);
+        }
+        Object.assign(backup, summarizeBackup(parsedBackup, dir));
+        backup.summary.files = backupFileCount;
+      }
+      writeBackup();
+    });
+  }
+
+  function writeBackup () {
+    logger.debug('backup processed, writing to %s', path.join(processedPath, 'backup.json'));
+    logger.debug('backup summary: %s', JSON.stringify(backup.summary));
+    const backupJSON = JSON.stringify(backup);
+    fs.writeFile(path.join(processedPath, 'backup.json'), backupJSON, 'utf8', function (err) {
+      if (err) {
+        return callback(null, 'error writing parsed backup data to disk', backupHandle);
+      }
+      writeInventory(function (err) {
         if (err) {
-          callback(null, 'error writing parsed backup data to disk');
+          callback(null, 'error writing backup file inventory to disk', backupHandle);
         } else {
-          callback(null, 'wrote parsed backup data to disk');
+          callback(null, 'wrote parsed backup data to disk', backupHandle);
         }
       });
     });
+  }
+
+  function writeInventory (callback) {
+    // Manifest.db can list hundreds of thousands of files, so the inventory goes to its own
+    // file (one record per line) instead of backup.json, which every report reads
+    const inventoryFile = path.join(processedPath, 'backup-files.ndjson');
+    if (backupHandle === null) {
+      return fs.unlink(inventoryFile, function () { callback(); });
+    }
+    const out = fs.createWriteStream(inventoryFile, 'utf8');
+    out.on('error', callback);
+    out.on('finish', callback);
+    backupHandle.files.forEach(function (file) {
+      out.write(JSON.stringify(file) + '\n');
+    });
+    out.end();
+  }
+}
+
+function summarizeBackup (parsedBackup, dir) {
+  const manifest = parsedBackup.manifest;
+  const info = parsedBackup.info;
+  const status = parsedBackup.status;
+  const lockdown = manifest.Lockdown || {};
+
+  // per domain file counts and sizes
+  const domainTotals = {};
+  let totalSize = 0;
+  parsedBackup.files.forEach(function (file) {
+    if (!domainTotals[file.domain]) {
+      domainTotals[file.domain] = { 'domain': file.domain, 'files': 0, 'size': 0 };
+    }
+    if (file.type === 'file') {
+      domainTotals[file.domain].files++;
+      domainTotals[file.domain].size += file.size;
+      totalSize += file.size;
+    }
+  });
+  const domains = Object.keys(domainTotals).map(function (domain) {
+    return domainTotals[domain];
+  }).sort(function (a, b) {
+    return b.size - a.size;
+  });
+
+  // apps recorded in Manifest.plist, with the files from their app and plugin domains
+  const manifestApps = manifest.Applications || {};
+  const apps = Object.keys(manifestApps).sort().map(function (bundleId) {
+    const app = {
+      'bundleId': bundleId,
+      'version': manifestApps[bundleId].CFBundleVersion || null,
+      'path': manifestApps[bundleId].Path || null,
+      'files': 0,
+      'size': 0
+    };
+    domains.forEach(function (domain) {
+      if (domain.domain === 'AppDomain-' + bundleId || domain.domain.startsWith('AppDomainPlugin-' + bundleId + '.')) {
+        app.files += domain.files;
+        app.size += domain.size;
+      }
+    });
+    return app;
+  });
+
+  const backupDate = status.Date || manifest.Date || info['Last Backup Date'] || null;
+  return {
+    'summary': {
+      'path': path.relative(dir, parsedBackup.root),
+      'encrypted': parsedBackup.encrypted,
+      'decrypted': parsedBackup.decrypted,
+      'decryptionError': parsedBackup.decryptionError,
+      'date': backupDate instanceof Date ? backupDate.toISOString() : backupDate,
+      'fullBackup': status.IsFullBackup === true,
+      'backupState': status.BackupState || null,
+      'deviceName': info['Device Name'] || lockdown.DeviceName || null,
+      'productVersion': info['Product Version'] || lockdown.ProductVersion || null,
+      'buildVersion': info['Build Version'] || lockdown.BuildVersion || null,
+      'udid': info['Unique Identifier'] || lockdown.UniqueDeviceID || null,
+      'passcodeSet': manifest.WasPasscodeSet === true,
+      'inventoryFiles': parsedBackup.files.length,
+      'totalSize': totalSize,
+      'domains': domains.length,
+      'apps': apps.length
+    },
+    'installedApps': info['Installed Applications'] || Object.keys(manifestApps).sort(),
+    'apps': apps,
+    'domains': domains,
+    // without the password the inventory is unknown, so presence can't be reported
+    'protectedData': parsedBackup.encrypted && !parsedBackup.decrypted ? [] : backupParser.protectedDataSummary(parsedBackup)
+  };
+}
+
+function processConfigurationProfiles (dir, parsedBackup, callback) {
+  // profiles come from the backup's ConfigurationProfiles domain and from any
+  // .mobileconfig files saved in artifacts/profiles
+  const artifactPath = path.join(dir, 'artifacts');
+  const processedPath = path.join(dir, 'processed');
+  const profilesPath = path.join(artifactPath, 'profiles');
+  const profiles = {};
+  profiles.details = [];
+  profiles.mdmEnrollment = null;
+  profiles.cloudConfiguration = null;
+
+  if (fs.existsSync(profilesPath)) {
+    fs.readdirSync(profilesPath).filter(function (filename) {
+      return /\.mobileconfig$/i.test(filename);
+    }).forEach(function (filename) {
+      const source = path.join('artifacts', 'profiles', filename);
+      try {
+        const profile = profileParser.parseProfile(fs.readFileSync(path.join(profilesPath, filename)), source);
+        if (profile !== null) {
+          profiles.details.push(profile);
+        }
+      } catch (err) {
+        logger.warn('could not parse configuration profile %s: %s', source, err.message);
+      }
+    });
+  }
+
+  if (parsedBackup) {
+    parsedBackup.files.filter(function (file) {
+      return file.type === 'file' && file.relativePath.startsWith('Library/ConfigurationProfiles/');
+    }).forEach(function (file) {
+      const filename = path.basename(file.relativePath);
+      const source = 'backup: ' + file.domain + '/' + file.relativePath;
+      try {
+        const contents = parsedBackup.readFile(file.domain, file.relativePath);
+        if (contents === null) {
+          return;
+        }
+        if (/\.stub$/.test(filename)) {
+          // installed profiles are kept as stubs holding the original profile
+          const profile = profileParser.parseProfile(contents, source);
+          if (profile !== null) {
+            profiles.details.push(profile);
+          }
+        } else if (filename === 'MDM.plist') {
+          profiles.mdmEnrollment = profileParser.parseMDMSettings(backupParser.parsePlist(contents));
+          profiles.mdmEnrollment.source = source;
+        } else if (filename === 'CloudConfigurationDetails.plist') {
+          // device enrollment program (DEP) details
+          const details = backupParser.parsePlist(contents);
+          profiles.cloudConfiguration = {
+            'organization': details.OrganizationName || null,
+            'configurationURL': details.ConfigurationURL || null,
+            'supervised': details.IsSupervised === true,
+            'mandatory': details.IsMandatory === true,
+            'source': source
+          };
+        }
+      } catch (err) {
+        logger.warn('could not parse %s: %s', source, err.message);
+      }
+    });
+  }
+
+  // the profile service lists every installed profile, add the ones we have no payloads for
+  const profileListFile = path.join(profilesPath, 'installed-profiles.json');
+  if (fs.existsSync(profileListFile) && fs.statSync(profileListFile).size > 0) {
+    const source = path.join('artifacts', 'profiles', 'installed-profiles.json');
+    try {
+      profileParser.parseProfileList(JSON.parse(fs.readFileSync(profileListFile, 'utf8')), source).forEach(function (listed) {
+        const known = profiles.details.find(function (profile) {
+          return profile.identifier === listed.identifier;
+        });
+        if (known !== undefined) {
+          known.active = listed.active;
+        } else {
+          profiles.details.push(listed);
+        }
+      });
+    } catch (err) {
+      logger.warn('could not parse configuration profile list %s: %s', source, err.message);
+    }
+  }
+
+  const count = function (field) {
+    return profiles.details.reduce(function (total, profile) {
+      return total + profile[field].length;
+    }, 0);
+  };
+  profiles.summary = {
+    'profiles': profiles.details.length,
+    'certificates': count('certificates'),
+    'rootCAs': profiles.details.reduce(function (total, profile) {
+      return total + profile.certificates.filter(profileParser.isRootCA).length;
+    }, 0),
+    'vpn': count('vpn'),
+    'proxies': count('proxies'),
+    'wifi': count('wifi'),
+    'mdm': count('mdm') + (profiles.mdmEnrollment !== null ? 1 : 0),
+    'restrictions': count('restrictions')
+  };
+
+  logger.debug('configuration profiles processed, writing to %s', path.join(processedPath, 'profiles.json'));
+  fs.writeFile(path.join(processedPath, 'profiles.json'), JSON.stringify(profiles), 'utf8', function (err) {
+    if (err) {
+      callback(null, 'error writing configuration profile data to disk');
+    } else {
+      callback(null, 'wrote configuration profile data to disk');
+    }
+  });
 }
 
 function readProcessedJSON (dir, loadIssues) {
@@ -1042,7 +2278,9 @@ function readProcessedJSON (dir, loadIssues) {
   const syslogJSONFile = path.join(processedPath, 'syslog.json');
   const crashreportsJSONFile = path.join(processedPath, 'crashreports.json');
   const backupJSONFile = path.join(processedPath, 'backup.json');
+  const profilesJSONFile = path.join(processedPath, 'profiles.json');
   const issuesJSONFile = path.join(processedPath, 'issues.json');
+  const runJSONFile = path.join(processedPath, 'run.json');
 
   let issuesJSON = {};
   const data = {};
@@ -1065,6 +2303,9 @@ function readProcessedJSON (dir, loadIssues) {
     data.syslog = JSON.parse(syslogJSON);
     data.crashreports = JSON.parse(crashreportsJSON);
     data.backup = JSON.parse(backupJSON);
+    // added after the other processed files, so older processing runs won't have it
+    data.profiles = fs.existsSync(profilesJSONFile) ? JSON.parse(fs.readFileSync(profilesJSONFile, 'utf8')) : {};
+    data.run = fs.existsSync(runJSONFile) ? JSON.parse(fs.readFileSync(runJSONFile, 'utf8')) : {};
     if (loadIssues) {
       data.issues = JSON.parse(issuesJSON);
     }
@@ -1075,64 +2316,49 @@ function readProcessedJSON (dir, loadIssues) {
   }
 }
 
-function findIssues (dir, callback) {
+function listRules (options) {
+  const rules = issueRules.select(issueRules.load(options.rulesDir), options.enableRule, options.disableRule);
+  rules.forEach(function (rule) {
+    logger.info(rule.id + ' [' + rule.severity + ', ' + rule.category + ']' + (rule.enabled ? '' : ' disabled') + ' ' + rule.title + ' (' + rule.source + ')');
+  });
+}
+
+function findIssues (dir, options, callback) {
   const processedPath = path.join(dir, 'processed');
   const data = readProcessedJSON(dir, false);
   const issues = {};
   issues.summary = {};
   issues.details = [];
-  let issueCount = 0;
-
-  if (!data.device.details.standard.PasswordProtected) {
-    issueCount++;
-    let issueDetails = {};
-    issueDetails.title = 'Device not password protected';
-    issueDetails.level = 'medium';
-    issueDetails.description = 'This device does is not password protected. The device is more suseptible to compromise if an attacker can briefly gain physical access. THese risks include the ability to extract data from the device (using backup, forensic or maybe even ios-triage!) and run applications. In addition, sensitive data encrypted at rest by the iDevice and apps lack an additional level of security.';
-    issueDetails.remediation = 'Password protext the device, ideally with an alphanumeric passcode or a PIN at least 6 digits long';
-    issues.details.push(issueDetails);
-  }
 
-  if (data.device.details.standard.ProductVersion !== iOSversions.LATEST_IOS_VERSION) {
-    issueCount++;
-    let issueDetails = {};
-    issueDetails.title = 'iOS version out of date';
-    issueDetails.level = 'high';
-    issueDetails.description = 'This device is not running the latest version of iOS. Apple regularly patches security flaws in iOS and the flaws are publicly acknowledged (see https://support.apple.com/en-us/HT207482 for 10.2.1 security update). Attackers can leverage this information to compromise your device and data.';
-    issueDetails.remediation = 'Update your device to the latest available version immediately (currently ' + iOSversions.LATEST_IOS_VERSION + '). If you are running on older hardware and newer iOS versions are unavailable, it is recommended you move to a new device.';
-    issues.details.push(issueDetails);
-  }
-
-  if (data.pprofiles.summary.pprofilesFound > 0) {
-    issueCount++;
-    let issueDetails = {};
-    issueDetails.title = 'Provisioning profiles found';
-    issueDetails.level = 'medium';
-    issueDetails.description = 'Install provisioning profiles can create situations for abuse. An attacker with physical access could push an app onto your device with significant privileges.';
-    issueDetails.remediation = 'Inspect all provisioning profiles to ensure they are legitimate.';
-    issues.details.push(issueDetails);
-  }
-
-  if (data.apps.summary.nonAppleSigner > 0) {
-    issueCount++;
-    let issueDetails = {};
-    issueDetails.title = 'Developer signed apps found';
-    issueDetails.level = 'medium';
-    issueDetails.description = 'This device contains developer signed apps. There apps circumvent the App Store review and could possible contain malicious code.';
-    issueDetails.remediation = 'Inspect all non-Apple signed apps to ensure they are legitimate.';
-    issues.details.push(issueDetails);
+  // every check is an issue rule, see rules/index.js
+  let rules = [];
+  try {
+    rules = issueRules.select(issueRules.load(options.rulesDir), options.enableRule, options.disableRule);
+  } catch (err) {
+    return callback(new Error('could not load issue rules: ' + err.message));
   }
-
-  issues.summary.count = issueCount;
-  logger.debug('findIssues complete, writing to %s', path.join(processedPath, 'issues.json'));
-  logger.debug('issues object: %s', JSON.stringify(issues));
-  const issuesJSON = JSON.stringify(issues);
-  fs.writeFile(path.join(processedPath, 'issues.json'), issuesJSON, 'utf8', function (err) {
+  const context = { 'dir': dir, 'options': options, 'logger': logger };
+  issueRules.evaluate(rules, data, context, function (err, ruleIssues) {
     if (err) {
-      callback(null, 'error writing issues.json to disk');
-    } else {
-      callback(null, 'wrote issues.json to disk');
+      return callback(err);
     }
+    issues.details = ruleIssues;
+    issues.summary.count = ruleIssues.length;
+    issues.summary.rules = rules.filter(function (rule) {
+      return rule.enabled;
+    }).map(function (rule) {
+      return rule.id;
+    });
+    logger.debug('findIssues complete, writing to %s', path.join(processedPath, 'issues.json'));
+    logger.debug('issues object: %s', JSON.stringify(issues));
+    const issuesJSON = JSON.stringify(issues);
+    fs.writeFile(path.join(processedPath, 'issues.json'), issuesJSON, 'utf8', function (err) {
+      if (err) {
+        callback(null, 'error writing issues.json to disk');
+      } else {
+        callback(null, 'wrote issues.json to disk');
+      }
+    });
   });
 }
 
@@ -1188,10 +2414,11 @@ function generateReport (dir, diffdir, callback) {
         // and making into an array of values. This really messes up diff and such so for now
         // we'll delete these values for our diff comparision.
         // FIXME: change plist.parse to not munge the data nodes
-        delete data.device.details['com.apple.disk_usage.factory'].NANDInfo;
-        delete data.device.details['com.apple.disk_usage'].NANDInfo;
-        delete dataRhs.device.details['com.apple.disk_usage.factory'].NANDInfo;
-        delete dataRhs.device.details['com.apple.disk_usage'].NANDInfo;
+        // not every domain profile collects the disk_usage domains so check first
+        ['com.apple.disk_usage.factory', 'com.apple.disk_usage'].forEach(function (domain) {
+          if (data.device.details[domain]) { delete data.device.details[domain].NANDInfo; }
+          if (dataRhs.device.details[domain]) { delete dataRhs.device.details[domain].NANDInfo; }
+        });
 
         // convert the lhs and rhs dates to human readable and add to object
         let lhsDateEpoch = data.device.details.standard.TimeIntervalSince1970;
@@ -1225,12 +2452,16 @@ function generateReport (dir, diffdir, callback) {
       handlebars.registerHelper('toJSON', function (object) {
         return new handlebars.SafeString(JSON.stringify(object));
       });
+      handlebars.registerHelper('eq', function (a, b) {
+        return a === b;
+      });
 
       // write out detailed app reports
       data.apps.details.forEach(function (appDetails) {
         let app = {};
         app.cli = pkg.name + ' v' + pkg.version;
         app.details = appDetails;
+        app.analysis = (data.apps.analysis || {})[appDetails.CFBundleIdentifier] || {};
         logger.debug('create detail app report for %s', app.details.CFBundleIdentifier);
         let templateFile = path.join(__base, 'html', 'templates', 'appdetails.hbs');
         fs.readFile(templateFile, 'utf-8', function (error, source) {
@@ -1247,7 +2478,7 @@ function generateReport (dir, diffdir, callback) {
       });
 
       // compile remaining handlebarsjs templates and write report files
-      const templateList = ['index', 'issues', 'diffs', 'community', 'apps', 'device', 'crashreports', 'pprofiles', 'artifacts'];
+      const templateList = ['index', 'issues', 'diffs', 'community', 'apps', 'permissions', 'device', 'crashreports', 'pprofiles', 'profiles', 'backup', 'artifacts'];
       templateList.forEach(function (templateName) {
         let templateFile = __base + 'html/templates/' + templateName + '.hbs';
         logger.debug('reading temple file: %s', templateFile);
@@ -0,0 +1,164 @@
+'use strict';
+
+/*
+Loads indicator of compromise (IOC) databases for known stalkerware and commercial spyware
+and matches device data against them. Two formats are read:
+
+  ios-triage JSON   {"indicators": [{"name", "type", "reference", "bundleIds", "teamIds",
+                    "signers", "domains", "processes"}]}, see data/ioc.json
+  STIX 2 bundle     indicator objects whose patterns compare app:id, x-ios-app:team_id,
+                    x509-certificate:subject, domain-name:value or process:name, named after
+                    the malware they indicate
+
+Everything is normalized to one list of indicators so the rest of the code doesn't care
+where a feed came from.
+*/
+
+const datasets = require('./datasets.js');
+
+const INDICATOR_LISTS = ['bundleIds', 'teamIds', 'signers', 'domains', 'processes'];
+
+// process names are matched exactly against every syslog and crash report process, very
+// short ones (Pegasus' "bh") collide with unrelated processes so they are left out
+const MIN_PROCESS_NAME_LENGTH = 4;
+
+// STIX 2 pattern object paths and the indicator list they feed
+const STIX_PATHS = {
+  'app:id': 'bundleIds',
+  'x-ios-app:team_id': 'teamIds',
+  'x509-certificate:subject': 'signers',
+  'domain-name:value': 'domains',
+  'process:name': 'processes'
+};
+
+function emptyIndicator (name, type, reference) {
+  const indicator = { 'name': name, 'type': type || null, 'reference': reference || null };
+  INDICATOR_LISTS.forEach(function (list) {
+    indicator[list] = [];
+  });
+  return indicator;
+}
+
+function parse (db) {
+  let indicators;
+  if (db && db.type === 'bundle' && Array.isArray(db.objects)) {
+    indicators = parseSTIX(db);
+  } else {
+    indicators = ((db && db.indicators) || []).map(function (entry) {
+      const indicator = emptyIndicator(entry.name, entry.type, entry.reference);
+      INDICATOR_LISTS.forEach(function (list) {
+        indicator[list] = (entry[list] || []).map(String);
+      });
+      return indicator;
+    });
+  }
+  indicators.forEach(function (indicator) {
+    indicator.processes = indicator.processes.filter(function (processName) {
+      return processName.length >= MIN_PROCESS_NAME_LENGTH;
+    });
+  });
+  return indicators;
+}
+
+function parseUserFile (userFile) {
+  // a feed the examiner asked for has to load, a broken one would silently turn the check off
+  let db;
+  try {
+    db = datasets.readFile(userFile);
+  } catch (err) {
+    throw new Error('could not read IOC database ' + userFile + ': ' + err.message);
+  }
+  const isBundle = db && db.type === 'bundle' && Array.isArray(db.objects);
+  if (!isBundle && !(db && Array.isArray(db.indicators))) {
+    throw new Error('IOC database ' + userFile + ' is neither a STIX 2 bundle nor an object with an indicators list');
+  }
+  const indicators = parse(db);
+  if (indicators.length === 0) {
+    throw new Error('IOC database ' + userFile + ' has no usable indicators');
+  }
+  indicators.forEach(function (indicator, index) {
+    if (!indicator.name) {
+      throw new Error('indicator ' + index + ' in IOC database ' + userFile + ' has no name');
+    }
+  });
+  return indicators;
+}
+
+function parseSTIX (bundle) {
+  const objects = {};
+  bundle.objects.forEach(function (object) {
+    objects[object.id] = object;
+  });
+
+  // indicators are usually tied to a malware object by an "indicates" relationship
+  const malwareFor = {};
+  bundle.objects.filter(function (object) {
+    return object.type === 'relationship' && object.relationship_type === 'indicates';
+  }).forEach(function (relationship) {
+    const target = objects[relationship.target_ref];
+    if (target && target.type === 'malware') {
+      malwareFor[relationship.source_ref] = target;
+    }
+  });
+
+  const byName = {};
+  bundle.objects.filter(function (object) {
+    return object.type === 'indicator' && typeof object.pattern === 'string';
+  }).forEach(function (object) {
+    const malware = malwareFor[object.id];
+    const name = (malware && malware.name) || object.name || 'Unnamed STIX indicator';
+    if (!(name in byName)) {
+      const reference = ((malware || object).external_references || []).map(function (ref) {
+        return ref.url;
+      }).filter(Boolean)[0];
+      byName[name] = emptyIndicator(name, malware ? (malware.malware_types || [])[0] : null, reference);
+    }
+    // patterns can hold several comparisons, e.g. [process:name = 'a' OR process:name = 'b']
+    const comparison = /([a-z0-9-]+:[a-z0-9_.]+)\s*=\s*'((?:[^'\\]|\\.)*)'/gi;
+    let match;
+    while ((match = comparison.exec(object.pattern)) !== null) {
+      const list = STIX_PATHS[match[1].toLowerCase()];
+      if (list) {
+        byName[name][list].push(match[2].replace(/\\(.)/g, '$1'));
+      }
+    }
+  });
+  return Object.keys(byName).map(function (name) {
+    return byName[name];
+  });
+}
+
+function load (userFile) {
+  // bundled database in data/ioc.json plus an optional community feed, JSON, YAML or STIX 2
+  let indicators = parse(datasets.load('ioc.json'));
+  if (userFile) {
+    indicators = indicators.concat(parseUserFile(userFile));
+  }
+  return indicators;
+}
+
+function match (indicators, list, value) {
+  // returns the indicators whose list contains value, ignoring case. Domains also match
+  // their subdomains
+  if (value === null || value === undefined || value === '') {
+    return [];
+  }
+  const needle = String(value).toLowerCase();
+  return indicators.filter(function (indicator) {
+    return indicator[list].some(function (entry) {
+      const candidate = entry.toLowerCase();
+      if (list === 'domains') {
+        return needle === candidate || needle.endsWith('.' + candidate);
+      }
+      return needle === candidate;
+    });
+  });
+}
+
+module.exports = {
+  INDICATOR_LISTS: INDICATOR_LISTS,
+  MIN_PROCESS_NAME_LENGTH: MIN_PROCESS_NAME_LENGTH,
+  parse: parse,
+  load: load,
+  match: match
+};
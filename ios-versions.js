@@ -1,10 +1,121 @@
 'use strict';
 
-// future work would be to query TSSstatus API to grab this info
-// but then the app would hit the interwebs. Could make configurable
-// this would allow us to easily determine latest ios version by device
-// https://api.ineal.me/tss/status
+// latest iOS release for each major version and the last major version each device
+// (ProductType) can run, from data/ios-versions.json. The dataset is bundled so processing
+// never hits the network, update it with the releases at https://support.apple.com/en-us/HT201222
+// or import a newer copy on offline machines with `ios-triage update-data`
+
+const datasets = require('./datasets.js');
+
+function load () {
+  return datasets.load('ios-versions.json');
+}
+
+function parseVersion (version) {
+  // '16.7.9' -> [16, 7, 9], anything unparsable -> null
+  if (typeof version !== 'string' || !/^\d+(\.\d+)*$/.test(version.trim())) {
+    return null;
+  }
+  return version.trim().split('.').map(Number);
+}
+
+function compareVersions (a, b) {
+  // semantic comparison of dotted versions, 16.7 == 16.7.0 < 16.7.9 < 16.10
+  const left = parseVersion(a) || [];
+  const right = parseVersion(b) || [];
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const diff = (left[i] || 0) - (right[i] || 0);
+    if (diff !== 0) {
+      return diff < 0 ? -1 : 1;
+    }
+  }
+  return 0;
+}
+
+function latestRelease (db) {
+  db = db || load();
+  const release = db.releases[String(db.latestMajor)];
+  return { 'major': db.latestMajor, 'version': release.version, 'build': release.build };
+}
+
+function evaluate (productType, productVersion, db) {
+  // compares the device's version to the newest release it can run:
+  //
+  //   device            name and last supported major version, null for unknown models
+  //   target            { version, build } the device should be running
+  //   updateAvailable   the device runs an older version than target
+  //   endOfSupport      the device can't run the latest major version
+  //   newerThanDatabase the device runs a newer version than the dataset knows about, so
+  //                     the dataset is out of date and nothing else can be concluded
+  db = db || load();
+  const latest = latestRelease(db);
+  const device = db.devices[productType] || null;
+  const parsed = parseVersion(productVersion);
+  const result = {
+    'productType': productType || null,
+    'productVersion': productVersion || null,
+    'device': device,
+    'latest': latest,
+    'target': null,
+    'updateAvailable': false,
+    'endOfSupport': false,
+    'newerThanDatabase': parsed !== null && compareVersions(productVersion, latest.version) > 0,
+    'databaseDate': db.updated
+  };
+
+  if (device !== null) {
+    const release = db.releases[String(device.major)];
+    result.target = {
+      'version': device.maxVersion || release.version,
+      'build': device.maxBuild || release.build
+    };
+    result.endOfSupport = device.major < latest.major;
+  } else if (parsed !== null && db.releases[String(parsed[0])]) {
+    // unknown model, we can at least check it has the latest patch for its major version
+    result.target = db.releases[String(parsed[0])];
+  } else if (parsed !== null && parsed[0] < latest.major) {
+    result.target = { 'version': latest.version, 'build': latest.build };
+  }
+
+  if (result.target !== null && parsed !== null) {
+    result.updateAvailable = compareVersions(productVersion, result.target.version) < 0;
+  }
+  return result;
+}
+
+function findVulnerabilities (productVersion, buildVersion, db) {
+  // CVEs from data/ios-cves.json that productVersion doesn't fix. A CVE counts as fixed when
+  // the device runs at least the fix for its major version, or a newer major version than
+  // any fix. Older major versions without a fix of their own are assumed to be affected.
+  // Rapid Security Responses patch a release without changing its version, only the build
+  // (16.5.1 (c) is 20F770750d), so a CVE also counts as fixed on the builds in fixedInBuilds
+  const parsed = parseVersion(productVersion);
+  if (parsed === null) {
+    return [];
+  }
+  db = db || datasets.load('ios-cves.json');
+  return db.vulnerabilities.filter(function (vulnerability) {
+    if (buildVersion && (vulnerability.fixedInBuilds || []).indexOf(buildVersion) !== -1) {
+      return false;
+    }
+    const fixedMajors = vulnerability.fixedIn.map(function (version) {
+      return parseVersion(version)[0];
+    });
+    if (parsed[0] > Math.max.apply(null, fixedMajors)) {
+      return false;
+    }
+    return !vulnerability.fixedIn.some(function (version) {
+      return parseVersion(version)[0] === parsed[0] && compareVersions(productVersion, version) >= 0;
+    });
+  });
+}
 
 module.exports = {
-  LATEST_IOS_VERSION: '12.4.1'
+  // kept for code that only needs the newest release
+  LATEST_IOS_VERSION: latestRelease().version,
+  parseVersion: parseVersion,
+  compareVersions: compareVersions,
+  latestRelease: latestRelease,
+  evaluate: evaluate,
+  findVulnerabilities: findVulnerabilities
 };
@@ -0,0 +1,133 @@
+'use strict';
+
+/*
+Parses provisioning profiles (.mobileprovision) copied off the device by ideviceprovision.
+The files are CMS signed, so the plist is cut out of the signed data (see
+profile-parser.js), then the developer certificates are decoded and the profile is graded
+by how it could be abused:
+
+  enterprise    ProvisionsAllDevices, in-house apps that run on any device
+  development   ProvisionedDevices with get-task-allow (debuggable apps)
+  ad-hoc        ProvisionedDevices without get-task-allow
+  app-store     neither, only used to sign App Store submissions
+*/
+
+const crypto = require('crypto');
+const profileParser = require('./profile-parser.js');
+
+function parse (buffer, now) {
+  const extracted = profileParser.extractPlist(buffer);
+  if (extracted === null) {
+    return null;
+  }
+  const pprofile = extracted.plist;
+
+  // the raw certificates are DER blobs, replace them with the decoded fields
+  const certificates = (pprofile.DeveloperCertificates || []).map(decodeCertificate);
+  delete pprofile.DeveloperCertificates;
+  // DER-Encoded-Profile (iOS 15+) is a second signed copy of the profile
+  delete pprofile['DER-Encoded-Profile'];
+
+  pprofile.analysis = analyze(pprofile, certificates, now || new Date());
+  return pprofile;
+}
+
+function decodeCertificate (der) {
+  const certificate = {
+    'subject': null,
+    'commonName': null,
+    'team': null,
+    'serial': null,
+    'validFrom': null,
+    'validTo': null,
+    'sha256': null,
+    'error': null
+  };
+  try {
+    const x509 = new crypto.X509Certificate(der);
+    certificate.subject = x509.subject.replace(/\n/g, ', ');
+    certificate.commonName = subjectField(x509.subject, 'CN');
+    // apple puts the team identifier in the organizational unit
+    certificate.team = subjectField(x509.subject, 'OU');
+    certificate.serial = x509.serialNumber;
+    certificate.validFrom = new Date(x509.validFrom).toISOString();
+    certificate.validTo = new Date(x509.validTo).toISOString();
+    certificate.sha256 = x509.fingerprint256.replace(/:/g, '').toLowerCase();
+  } catch (err) {
+    certificate.error = err.message;
+  }
+  return certificate;
+}
+
+function subjectField (subject, field) {
+  const line = subject.split('\n').find(function (entry) {
+    return entry.startsWith(field + '=');
+  });
+  return line === undefined ? null : line.slice(field.length + 1);
+}
+
+function analyze (pprofile, certificates, now) {
+  const entitlements = pprofile.Entitlements || {};
+  const applicationIdentifier = entitlements['application-identifier'] || null;
+  const expirationDate = pprofile.ExpirationDate ? new Date(pprofile.ExpirationDate) : null;
+
+  const analysis = {
+    'type': null,
+    'teamIdentifier': (pprofile.TeamIdentifier || [])[0] || null,
+    'provisionedDevices': (pprofile.ProvisionedDevices || []).length,
+    'provisionsAllDevices': pprofile.ProvisionsAllDevices === true,
+    'expirationDate': expirationDate !== null ? expirationDate.toISOString() : null,
+    'expired': expirationDate !== null && expirationDate < now,
+    'getTaskAllow': entitlements['get-task-allow'] === true,
+    'applicationIdentifier': applicationIdentifier,
+    'wildcardAppId': applicationIdentifier !== null && applicationIdentifier.endsWith('*'),
+    'certificates': certificates,
+    'risk': 'low',
+    'reasons': []
+  };
+
+  if (analysis.provisionsAllDevices) {
+    analysis.type = 'enterprise';
+  } else if (analysis.provisionedDevices > 0) {
+    analysis.type = analysis.getTaskAllow ? 'development' : 'ad-hoc';
+  } else {
+    analysis.type = 'app-store';
+  }
+
+  // grade the profile: enterprise profiles can sideload onto any device, debugging and
+  // wildcard app IDs widen what the signed apps can do
+  if (analysis.type === 'enterprise') {
+    analysis.reasons.push('enterprise in-house profile, apps signed with it run on any device');
+  }
+  if (analysis.getTaskAllow) {
+    analysis.reasons.push('get-task-allow lets a debugger attach to the signed apps');
+  }
+  if (analysis.wildcardAppId) {
+    analysis.reasons.push('wildcard app ID ' + applicationIdentifier + ' can sign any app from the team');
+  }
+
+  if (analysis.type === 'enterprise' && (analysis.getTaskAllow || analysis.wildcardAppId)) {
+    analysis.risk = 'high';
+  } else if (analysis.type === 'enterprise' || analysis.getTaskAllow || analysis.wildcardAppId) {
+    analysis.risk = 'medium';
+  }
+
+  const expiredCertificates = certificates.filter(function (certificate) {
+    return certificate.validTo !== null && new Date(certificate.validTo) < now;
+  });
+  if (analysis.expired) {
+    // apps signed with an expired profile no longer launch
+    analysis.reasons.push('profile expired on ' + analysis.expirationDate);
+    analysis.risk = 'low';
+  } else if (certificates.length > 0 && expiredCertificates.length === certificates.length) {
+    analysis.reasons.push('all developer certificates have expired');
+    analysis.risk = 'low';
+  }
+
+  return analysis;
+}
+
+module.exports = {
+  parse: parse,
+  decodeCertificate: decodeCertificate
+};
@@ -0,0 +1,223 @@
+'use strict';
+
+/*
+Parses configuration profiles (.mobileconfig files and the installed profile stubs in a
+backup's ConfigurationProfiles domain) into the payloads we care about for triage: root CA
+certificates, VPN, proxies, Wi-Fi, MDM enrollment and restrictions.
+
+The profile service list collected at extraction (pymobiledevice3 profile list) only has
+each profile's metadata, parseProfileList() turns it into profiles without payloads so
+profiles missing from the backup still show up.
+
+Profiles are plists, either plain (xml or binary) or wrapped in a CMS signature. For signed
+profiles the plist is cut out of the signed data rather than verifying the signature.
+*/
+
+const crypto = require('crypto');
+const plist = require('plist');
+const bplist = require('bplist-parser');
+
+// payload types that carry certificates
+const CERTIFICATE_PAYLOADS = [
+  'com.apple.security.root',
+  'com.apple.security.pkcs1',
+  'com.apple.security.pem'
+];
+
+function extractPlist (buffer) {
+  // signed profiles (CMS/DER) embed the plist, so look for it instead of assuming it
+  // starts at byte 0
+  const binaryStart = buffer.indexOf('bplist00');
+  if (binaryStart !== -1) {
+    return { 'signed': binaryStart > 0, 'plist': bplist.parseBuffer(buffer.slice(binaryStart))[0] };
+  }
+  const text = buffer.toString('latin1');
+  const xmlStart = text.indexOf('<?xml');
+  const xmlEnd = text.indexOf('</plist>');
+  if (xmlStart === -1 || xmlEnd === -1) {
+    return null;
+  }
+  const xml = buffer.slice(xmlStart, xmlEnd + '</plist>'.length).toString('utf8');
+  return { 'signed': xmlStart > 0, 'plist': plist.parse(xml) };
+}
+
+function parseProfile (buffer, source) {
+  const extracted = extractPlist(buffer);
+  if (extracted === null) {
+    return null;
+  }
+  const profilePlist = extracted.plist;
+
+  const profile = {
+    'source': source,
+    'identifier': profilePlist.PayloadIdentifier || null,
+    'uuid': profilePlist.PayloadUUID || null,
+    'displayName': profilePlist.PayloadDisplayName || null,
+    'organization': profilePlist.PayloadOrganization || null,
+    'description': profilePlist.PayloadDescription || null,
+    'signed': extracted.signed,
+    'removalDisallowed': profilePlist.PayloadRemovalDisallowed === true,
+    'payloads': [],
+    'certificates': [],
+    'vpn': [],
+    'proxies': [],
+    'wifi': [],
+    'mdm': [],
+    'restrictions': []
+  };
+
+  const payloads = Array.isArray(profilePlist.PayloadContent) ? profilePlist.PayloadContent : [];
+  payloads.forEach(function (payload) {
+    const type = payload.PayloadType || 'unknown';
+    profile.payloads.push({
+      'type': type,
+      'identifier': payload.PayloadIdentifier || null,
+      'displayName': payload.PayloadDisplayName || null
+    });
+
+    if (CERTIFICATE_PAYLOADS.indexOf(type) !== -1) {
+      const certificate = parseCertificate(payload.PayloadContent);
+      certificate.payloadType = type;
+      certificate.displayName = payload.PayloadDisplayName || payload.PayloadCertificateFileName || null;
+      profile.certificates.push(certificate);
+    } else if (type === 'com.apple.vpn.managed' || type === 'com.apple.vpn.managed.applayer') {
+      const vpnType = payload.VPNType || null;
+      const settings = payload[vpnType] || payload.VPN || payload.IKEv2 || {};
+      profile.vpn.push({
+        'name': payload.UserDefinedName || null,
+        'type': vpnType,
+        'subType': payload.VPNSubType || null,
+        'server': settings.RemoteAddress || null,
+        'onDemand': (settings.OnDemandEnabled || payload.OnDemandEnabled) === 1
+      });
+    } else if (type === 'com.apple.proxy.http.global') {
+      profile.proxies.push({
+        'scope': 'global',
+        'type': payload.ProxyType || null,
+        'server': payload.ProxyServer || null,
+        'port': payload.ProxyServerPort || null,
+        'pacURL': payload.ProxyPACURL || null
+      });
+    } else if (type === 'com.apple.wifi.managed') {
+      profile.wifi.push({
+        'ssid': payload.SSID_STR || null,
+        'encryption': payload.EncryptionType || null,
+        'autoJoin': payload.AutoJoin !== false,
+        'proxyType': payload.ProxyType || null
+      });
+      // Wi-Fi payloads can carry their own per network proxy
+      if (payload.ProxyType && payload.ProxyType !== 'None') {
+        profile.proxies.push({
+          'scope': 'wifi:' + (payload.SSID_STR || ''),
+          'type': payload.ProxyType,
+          'server': payload.ProxyServer || null,
+          'port': payload.ProxyServerPort || null,
+          'pacURL': payload.ProxyPACURL || null
+        });
+      }
+    } else if (type === 'com.apple.mdm') {
+      profile.mdm.push(parseMDMSettings(payload));
+    } else if (type === 'com.apple.applicationaccess' || type === 'com.apple.applicationaccess.new') {
+      Object.keys(payload).filter(function (key) {
+        return !key.startsWith('Payload');
+      }).forEach(function (key) {
+        profile.restrictions.push({ 'key': key, 'value': payload[key] });
+      });
+    }
+  });
+
+  return profile;
+}
+
+function parseProfileList (list, source) {
+  // { OrderedIdentifiers, ProfileManifest: { id: { IsActive } }, ProfileMetadata: { id: {...} } }
+  const manifest = list.ProfileManifest || {};
+  const metadata = list.ProfileMetadata || {};
+  const identifiers = Array.isArray(list.OrderedIdentifiers) ? list.OrderedIdentifiers : Object.keys(metadata);
+  return identifiers.map(function (identifier) {
+    const profileMetadata = metadata[identifier] || {};
+    return {
+      'source': source,
+      'identifier': identifier,
+      'uuid': profileMetadata.PayloadUUID || null,
+      'displayName': profileMetadata.PayloadDisplayName || null,
+      'organization': profileMetadata.PayloadOrganization || null,
+      'description': profileMetadata.PayloadDescription || (manifest[identifier] || {}).Description || null,
+      'signed': null,
+      'removalDisallowed': profileMetadata.PayloadRemovalDisallowed === true,
+      'active': manifest[identifier] ? manifest[identifier].IsActive !== false : null,
+      'metadataOnly': true,
+      'payloads': [],
+      'certificates': [],
+      'vpn': [],
+      'proxies': [],
+      'wifi': [],
+      'mdm': [],
+      'restrictions': []
+    };
+  });
+}
+
+function parseMDMSettings (settings) {
+  // used for the MDM payload in a profile and for the MDM.plist written at enrollment
+  return {
+    'serverURL': settings.ServerURL || null,
+    'checkInURL': settings.CheckInURL || null,
+    'topic': settings.Topic || null,
+    'accessRights': settings.AccessRights !== undefined ? settings.AccessRights : null,
+    'signMessage': settings.SignMessage === true
+  };
+}
+
+function parseCertificate (content) {
+  const certificate = {
+    'subject': null,
+    'issuer': null,
+    'validFrom': null,
+    'validTo': null,
+    'isCA': false,
+    'selfSigned': false,
+    'sha256': null,
+    'error': null
+  };
+  if (!content) {
+    certificate.error = 'no certificate data';
+    return certificate;
+  }
+  try {
+    // PayloadContent is DER data, or a PEM string for some tools
+    const x509 = new crypto.X509Certificate(Buffer.isBuffer(content) ? content : Buffer.from(String(content)));
+    certificate.subject = x509.subject.replace(/\n/g, ', ');
+    certificate.issuer = x509.issuer.replace(/\n/g, ', ');
+    certificate.validFrom = new Date(x509.validFrom).toISOString();
+    certificate.validTo = new Date(x509.validTo).toISOString();
+    certificate.isCA = x509.ca;
+    certificate.selfSigned = x509.checkIssued(x509) && x509.verify(x509.publicKey);
+    certificate.sha256 = x509.fingerprint256.replace(/:/g, '').toLowerCase();
+  } catch (err) {
+    certificate.error = err.message;
+  }
+  return certificate;
+}
+
+function isRootCA (certificate) {
+  return certificate.payloadType === 'com.apple.security.root' || (certificate.isCA && certificate.selfSigned);
+}
+
+function hostFromURL (url) {
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch (err) {
+    return null;
+  }
+}
+
+module.exports = {
+  extractPlist: extractPlist,
+  parseProfile: parseProfile,
+  parseProfileList: parseProfileList,
+  parseMDMSettings: parseMDMSettings,
+  parseCertificate: parseCertificate,
+  isRootCA: isRootCA,
+  hostFromURL: hostFromURL
+};
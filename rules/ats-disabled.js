@@ -0,0 +1,23 @@
+'use strict';
+
+// third party apps that turn App Transport Security off for every connection
+
+module.exports = {
+  id: 'ats-disabled',
+  title: 'Apps with App Transport Security disabled',
+  severity: 'medium',
+  category: 'apps',
+  description: 'These apps set NSAllowsArbitraryLoads, which turns off App Transport Security for all connections. The apps can send and receive data over plain HTTP or weak TLS, where it can be read or changed by anyone on the network path.',
+  remediation: 'Ask the app developers to remove NSAllowsArbitraryLoads and use domain specific exceptions, or avoid using the apps on untrusted networks.',
+  references: ['https://developer.apple.com/documentation/bundleresources/information_property_list/nsapptransportsecurity'],
+  evaluate: function (data) {
+    const items = [];
+    data.apps.details.forEach(function (app) {
+      const analysis = (data.apps.analysis || {})[app.CFBundleIdentifier];
+      if (app.ApplicationType !== 'System' && analysis && analysis.ats && analysis.ats.disabled) {
+        items.push({ 'file': null, 'detail': app.CFBundleIdentifier });
+      }
+    });
+    return items.length > 0 ? { 'evidence': { 'items': items } } : null;
+  }
+};
@@ -0,0 +1,23 @@
+'use strict';
+
+// third party apps with ATS exceptions allowing plain HTTP to anything but local hosts
+
+module.exports = {
+  id: 'ats-insecure-http',
+  title: 'Apps allowing insecure HTTP to internet domains',
+  severity: 'medium',
+  category: 'apps',
+  description: 'These apps have App Transport Security exceptions that allow plain HTTP to non-local domains. Traffic to those domains can be read or changed by anyone on the network path.',
+  remediation: 'Ask the app developers to serve these domains over HTTPS and remove the exceptions.',
+  references: ['https://developer.apple.com/documentation/bundleresources/information_property_list/nsapptransportsecurity/nsexceptiondomains'],
+  evaluate: function (data) {
+    const items = [];
+    data.apps.details.forEach(function (app) {
+      const analysis = (data.apps.analysis || {})[app.CFBundleIdentifier];
+      if (app.ApplicationType !== 'System' && analysis && analysis.ats && analysis.ats.insecureDomains.length > 0) {
+        items.push({ 'file': null, 'detail': app.CFBundleIdentifier + ': ' + analysis.ats.insecureDomains.join(', ') });
+      }
+    });
+    return items.length > 0 ? { 'evidence': { 'items': items } } : null;
+  }
+};
@@ -0,0 +1,138 @@
+'use strict';
+
+/*
+Root CA certificates, global proxies and MDM servers installed by configuration profiles
+that are not on the trust list (data/profile-trust.json plus --profile-trust). Lists left
+empty are treated as not configured and their payloads are reported at a lower level.
+*/
+
+const datasets = require('../datasets.js');
+const profileParser = require('../profile-parser.js');
+
+function loadProfileTrust (userTrustFile) {
+  // bundled trust list in data/profile-trust.json plus the examiner's own list of root CA
+  // fingerprints, MDM hosts and proxy hosts expected on the device
+  const trust = datasets.load('profile-trust.json');
+  if (userTrustFile) {
+    const userTrust = datasets.readFile(userTrustFile);
+    ['rootCAs', 'mdmHosts', 'proxyHosts'].forEach(function (list) {
+      trust[list] = trust[list].concat(userTrust[list] || []);
+    });
+  }
+  trust.rootCAs = trust.rootCAs.map(function (fingerprint) {
+    return fingerprint.replace(/:/g, '').toLowerCase();
+  });
+  trust.mdmHosts = trust.mdmHosts.map(function (host) { return host.toLowerCase(); });
+  trust.proxyHosts = trust.proxyHosts.map(function (host) { return host.toLowerCase(); });
+  return trust;
+}
+
+function evaluate (data, context) {
+  const profileIssues = [];
+  if (!data.profiles || !data.profiles.details) {
+    return profileIssues;
+  }
+  const trust = loadProfileTrust(context.options.profileTrust);
+  const evidenceItem = function (profile, detail) {
+    // only profiles saved as artifacts can be linked to from the report
+    return {
+      'file': profile.source.startsWith('artifacts') ? profile.source : null,
+      'detail': (profile.displayName || profile.identifier) + ': ' + detail + (profile.source.startsWith('artifacts') ? '' : ' (' + profile.source + ')')
+    };
+  };
+
+  const untrustedRoots = [];
+  const globalProxies = [];
+  const mdmServers = [];
+  data.profiles.details.forEach(function (profile) {
+    profile.certificates.filter(profileParser.isRootCA).forEach(function (certificate) {
+      if (trust.rootCAs.indexOf(certificate.sha256) === -1) {
+        untrustedRoots.push(evidenceItem(profile, (certificate.subject || certificate.displayName) + ' sha256 ' + certificate.sha256));
+      }
+    });
+    profile.proxies.forEach(function (proxy) {
+      const host = (proxy.server || profileParser.hostFromURL(proxy.pacURL) || '').toLowerCase();
+      if (proxy.scope === 'global' && trust.proxyHosts.indexOf(host) === -1) {
+        globalProxies.push(evidenceItem(profile, proxy.type + ' proxy ' + (proxy.server ? proxy.server + ':' + proxy.port : proxy.pacURL)));
+      }
+    });
+    profile.mdm.forEach(function (mdm) {
+      if (trust.mdmHosts.indexOf(profileParser.hostFromURL(mdm.serverURL)) === -1) {
+        mdmServers.push(evidenceItem(profile, 'MDM server ' + mdm.serverURL));
+      }
+    });
+  });
+  const enrollment = data.profiles.mdmEnrollment;
+  if (enrollment && trust.mdmHosts.indexOf(profileParser.hostFromURL(enrollment.serverURL)) === -1) {
+    mdmServers.push({ 'file': null, 'detail': 'MDM server ' + enrollment.serverURL + ' (' + enrollment.source + ')' });
+  }
+
+  // an empty trust list means the examiner hasn't configured one, not that nothing is
+  // trusted, so those payloads are listed for review instead of flagged as untrusted
+  if (untrustedRoots.length > 0 && trust.rootCAs.length > 0) {
+    let issueDetails = {};
+    issueDetails.title = 'Untrusted root CA certificates installed';
+    issueDetails.level = 'high';
+    issueDetails.description = 'Configuration profiles installed root CA certificates that are not on the trust list. Once a root CA is trusted, whoever holds its private key can intercept TLS traffic from the device, including credentials and other sensitive data.';
+    issueDetails.remediation = 'Confirm the certificates belong to your organization and add their sha256 fingerprints to the trust list (--profile-trust). Otherwise remove the profiles from Settings > General > Profiles and investigate how they were installed.';
+    issueDetails.evidence = { 'items': untrustedRoots };
+    profileIssues.push(issueDetails);
+  } else if (untrustedRoots.length > 0) {
+    let issueDetails = {};
+    issueDetails.title = 'Root CA certificates installed, no trust list configured';
+    issueDetails.level = 'low';
+    issueDetails.description = 'Configuration profiles installed root CA certificates. No trusted root CAs are configured, so they could not be checked. Once a root CA is trusted, whoever holds its private key can intercept TLS traffic from the device.';
+    issueDetails.remediation = 'Confirm the certificates belong to your organization and list the sha256 fingerprints of the expected ones in a trust list (--profile-trust) so unexpected certificates are flagged.';
+    issueDetails.evidence = { 'items': untrustedRoots };
+    profileIssues.push(issueDetails);
+  }
+
+  if (globalProxies.length > 0 && trust.proxyHosts.length > 0) {
+    let issueDetails = {};
+    issueDetails.title = 'Global HTTP proxy configured';
+    issueDetails.level = 'high';
+    issueDetails.description = 'A configuration profile sets a global HTTP proxy that is not on the trust list, so web traffic from the device is routed through the proxy server. Combined with a trusted root CA this allows all traffic to be read and modified.';
+    issueDetails.remediation = 'Confirm the proxy is operated by your organization and add it to the trust list (--profile-trust). Otherwise remove the profile and investigate the proxy server.';
+    issueDetails.evidence = { 'items': globalProxies };
+    profileIssues.push(issueDetails);
+  } else if (globalProxies.length > 0) {
+    let issueDetails = {};
+    issueDetails.title = 'Global HTTP proxy configured, no trust list configured';
+    issueDetails.level = 'medium';
+    issueDetails.description = 'A configuration profile sets a global HTTP proxy, so web traffic from the device is routed through the proxy server. No trusted proxy hosts are configured, so it could not be checked. Combined with a trusted root CA this allows all traffic to be read and modified.';
+    issueDetails.remediation = 'Confirm the proxy is operated by your organization and list the expected proxy hosts in a trust list (--profile-trust) so unexpected proxies are flagged.';
+    issueDetails.evidence = { 'items': globalProxies };
+    profileIssues.push(issueDetails);
+  }
+
+  if (mdmServers.length > 0 && trust.mdmHosts.length > 0) {
+    let issueDetails = {};
+    issueDetails.title = 'Device enrolled in an unexpected MDM server';
+    issueDetails.level = 'high';
+    issueDetails.description = 'The device is enrolled in a mobile device management (MDM) server that is not on the trust list. An MDM server can install apps, profiles and certificates, change device settings and collect device information.';
+    issueDetails.remediation = 'Confirm the MDM server belongs to your organization and add its host to the trust list (--profile-trust). Otherwise remove the MDM profile and investigate how the device was enrolled.';
+    issueDetails.evidence = { 'items': mdmServers };
+    profileIssues.push(issueDetails);
+  } else if (mdmServers.length > 0) {
+    let issueDetails = {};
+    issueDetails.title = 'Device enrolled in MDM, no trust list configured';
+    issueDetails.level = 'low';
+    issueDetails.description = 'The device is enrolled in a mobile device management (MDM) server. No trusted MDM hosts are configured, so it could not be checked. An MDM server can install apps, profiles and certificates, change device settings and collect device information.';
+    issueDetails.remediation = 'Confirm the MDM server belongs to your organization and list the expected MDM hosts in a trust list (--profile-trust) so unexpected enrollments are flagged.';
+    issueDetails.evidence = { 'items': mdmServers };
+    profileIssues.push(issueDetails);
+  }
+
+  return profileIssues;
+}
+
+module.exports = {
+  id: 'configuration-profiles',
+  title: 'Untrusted configuration profile payloads',
+  severity: 'high',
+  category: 'configuration-profiles',
+  description: 'Configuration profiles installed root CA certificates, proxies or MDM enrollment that are not on the trust list.',
+  remediation: 'Confirm the payloads belong to your organization and add them to the trust list (--profile-trust). Otherwise remove the profiles and investigate how they were installed.',
+  references: ['https://support.apple.com/en-us/HT204477'],
+  evaluate: evaluate
+};
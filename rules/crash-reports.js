@@ -0,0 +1,185 @@
+'use strict';
+
+/*
+Crash patterns that commonly follow exploitation attempts: repeated crashes of targeted
+processes, crashes at suspicious addresses and code loaded from unexpected paths. Process
+names, paths and thresholds come from data/crash-indicators.json.
+*/
+
+const datasets = require('../datasets.js');
+
+function evaluate (data) {
+  // look for crash patterns that commonly follow exploitation attempts. Process names,
+  // paths and thresholds come from data/crash-indicators.json
+  const indicators = datasets.load('crash-indicators.json');
+  const crashIssues = [];
+  const crashes = [];
+  (data.crashreports.details || []).forEach(function (fileDetails) {
+    if (fileDetails.crash) {
+      crashes.push({
+        'file': 'artifacts/crash_reports/' + fileDetails.filename,
+        'crash': fileDetails.crash
+      });
+    }
+  });
+
+  // repeated crashes of commonly targeted processes within a short window
+  const windowMs = indicators.repeatedCrashes.windowHours * 60 * 60 * 1000;
+  indicators.repeatedCrashes.processes.forEach(function (processName) {
+    const processCrashes = crashes.filter(function (entry) {
+      return entry.crash.process === processName && parseCrashTimestamp(entry.crash.timestamp) !== null;
+    }).sort(function (a, b) {
+      return parseCrashTimestamp(a.crash.timestamp) - parseCrashTimestamp(b.crash.timestamp);
+    });
+
+    // slide a window over the sorted crashes and keep the busiest one
+    let busiest = [];
+    for (let start = 0; start < processCrashes.length; start++) {
+      const windowStart = parseCrashTimestamp(processCrashes[start].crash.timestamp);
+      const inWindow = processCrashes.slice(start).filter(function (entry) {
+        return parseCrashTimestamp(entry.crash.timestamp) - windowStart <= windowMs;
+      });
+      if (inWindow.length > busiest.length) {
+        busiest = inWindow;
+      }
+    }
+
+    if (busiest.length >= indicators.repeatedCrashes.threshold) {
+      let issueDetails = {};
+      issueDetails.title = 'Repeated crashes of ' + processName;
+      issueDetails.level = 'high';
+      issueDetails.description = processName + ' crashed ' + busiest.length + ' times within ' + indicators.repeatedCrashes.windowHours + ' hours. This process parses attacker controlled content (web pages, messages or media) and repeated crashes are a common side effect of exploitation attempts, such as zero-click exploits delivered over iMessage or malicious web content.';
+      issueDetails.remediation = 'Review the crash reports for memory corruption (EXC_BAD_ACCESS) and unusual binary images. Update iOS to the latest version and consider sharing the crash reports with a mobile security team for analysis.';
+      issueDetails.evidence = {
+        'items': busiest.map(function (entry) {
+          return { 'file': entry.file, 'detail': entry.crash.timestamp + ' ' + (entry.crash.exceptionType || '') };
+        })
+      };
+      crashIssues.push(issueDetails);
+    }
+  });
+
+  // memory access violations at addresses that look attacker controlled
+  const badAccess = [];
+  crashes.forEach(function (entry) {
+    const crash = entry.crash;
+    if (!crash.exceptionType || crash.exceptionType.indexOf('EXC_BAD_ACCESS') === -1) {
+      return;
+    }
+    const exceptionText = [crash.exceptionSubtype, crash.exceptionCodes].join(' ');
+    const addresses = exceptionText.match(/0x[0-9a-fA-F]+/g) || [];
+    const suspicious = addresses.filter(function (address) {
+      return isSuspiciousAddress(address, indicators.suspiciousAddressMarkers);
+    });
+    if (suspicious.length > 0 || /pointer authentication/i.test(exceptionText)) {
+      badAccess.push({
+        'file': entry.file,
+        'detail': crash.process + ': ' + (crash.exceptionSubtype || crash.exceptionCodes)
+      });
+    }
+  });
+  if (badAccess.length > 0) {
+    let issueDetails = {};
+    issueDetails.title = 'Crashes at suspicious memory addresses';
+    issueDetails.level = 'high';
+    issueDetails.description = 'Processes crashed with EXC_BAD_ACCESS at addresses that look attacker controlled (repeated byte patterns such as 0x41414141, well known marker values or pointer authentication failures). These are typical of memory corruption exploits that failed or were being developed against the device.';
+    issueDetails.remediation = 'Preserve the crash reports and have them reviewed by a mobile security team. Update iOS to the latest version.';
+    issueDetails.evidence = { 'items': badAccess };
+    crashIssues.push(issueDetails);
+  }
+
+  // crashes of executables that are neither part of iOS nor an installed app
+  const allowedPrefixes = indicators.systemPathPrefixes.concat(indicators.appPathPrefixes);
+  const nonStock = crashes.filter(function (entry) {
+    return entry.crash.path && !isAllowedPath(entry.crash.path, allowedPrefixes, indicators.suspiciousPathPatterns);
+  }).map(function (entry) {
+    return { 'file': entry.file, 'detail': entry.crash.process + ' (' + entry.crash.path + ')' };
+  });
+  if (nonStock.length > 0) {
+    let issueDetails = {};
+    issueDetails.title = 'Crashes of processes that are not part of iOS';
+    issueDetails.level = 'high';
+    issueDetails.description = 'Crash reports were generated by executables running from outside the iOS system and app bundle locations. Stock iOS devices only run code from the system partition and from installed app bundles, so these processes may have been planted by a jailbreak or malware.';
+    issueDetails.remediation = 'Identify where the executables came from. If the device was not intentionally jailbroken, treat it as compromised and restore it with the latest iOS version.';
+    issueDetails.evidence = { 'items': nonStock };
+    crashIssues.push(issueDetails);
+  }
+
+  // binary images loaded from unexpected paths
+  const unexpectedImages = [];
+  crashes.forEach(function (entry) {
+    entry.crash.binaryImages.forEach(function (image) {
+      if (image.path && image.path !== '???' && !isAllowedPath(image.path, allowedPrefixes, indicators.suspiciousPathPatterns)) {
+        unexpectedImages.push({ 'file': entry.file, 'detail': entry.crash.process + ' loaded ' + image.path });
+      }
+    });
+  });
+  if (unexpectedImages.length > 0) {
+    let issueDetails = {};
+    issueDetails.title = 'Binary images loaded from unexpected paths';
+    issueDetails.level = 'high';
+    issueDetails.description = 'Crashed processes had libraries loaded from outside the iOS system and app bundle locations, for example tweak injection frameworks or temporary directories. Injected libraries can change the behavior of any process they are loaded into.';
+    issueDetails.remediation = 'Review the listed libraries. If the device was not intentionally jailbroken, treat it as compromised and restore it with the latest iOS version.';
+    issueDetails.evidence = { 'items': unexpectedImages };
+    crashIssues.push(issueDetails);
+  }
+
+  return crashIssues;
+}
+
+function parseCrashTimestamp (timestamp) {
+  // crash report times look like 2019-08-01 10:10:10.1234 -0500
+  const match = /^(\d{4}-\d{2}-\d{2}) (\d{2}:\d{2}:\d{2})(\.\d+)? ([+-]\d{2})(\d{2})$/.exec(timestamp || '');
+  if (match === null) {
+    return null;
+  }
+  const millis = (match[3] || '.000').slice(0, 4).padEnd(4, '0');
+  const date = new Date(match[1] + 'T' + match[2] + millis + match[4] + ':' + match[5]);
+  return isNaN(date.getTime()) ? null : date.getTime();
+}
+
+function isSuspiciousAddress (address, markers) {
+  const hex = address.toLowerCase().replace(/^0x0*/, '');
+  // a single byte repeated at least 4 times, e.g. 0x41414141
+  if (/^([0-9a-f]{2})\1{3,}$/.test(hex) && hex.slice(0, 2) !== 'ff') {
+    return true;
+  }
+  return markers.some(function (marker) {
+    return hex.indexOf(marker) !== -1;
+  });
+}
+
+function matchesPathPattern (filePath, pattern) {
+  // patterns starting with / are path prefixes (/var/jb/), anything else names a path
+  // segment, optionally followed by an extension or suffix (TweakInject matches
+  // TweakInject.dylib but not MyTweakInjector)
+  if (pattern.startsWith('/')) {
+    return filePath.startsWith(pattern);
+  }
+  return filePath.split('/').some(function (segment) {
+    return segment === pattern || (segment.startsWith(pattern) && /^[^A-Za-z0-9]/.test(segment.slice(pattern.length)));
+  });
+}
+
+function isAllowedPath (filePath, allowedPrefixes, suspiciousPatterns) {
+  const suspicious = suspiciousPatterns.some(function (pattern) {
+    return matchesPathPattern(filePath, pattern);
+  });
+  if (suspicious) {
+    return false;
+  }
+  return allowedPrefixes.some(function (prefix) {
+    return filePath.startsWith(prefix);
+  });
+}
+
+module.exports = {
+  id: 'crash-reports',
+  title: 'Suspicious crash reports',
+  severity: 'medium',
+  category: 'crash-reports',
+  description: 'Crash reports show patterns that commonly follow exploitation attempts.',
+  remediation: 'Update iOS and review the crash reports with a specialist if the device may be targeted.',
+  references: [],
+  evaluate: evaluate
+};
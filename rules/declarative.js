@@ -0,0 +1,280 @@
+'use strict';
+
+/*
+Compiles declarative (JSON or YAML) issue rules into rule modules. A declarative rule has
+the usual rule fields (id, title, severity, category, description, remediation, references,
+enabled) plus:
+
+  where      condition checked against the processed data, or against each item when
+             forEach is set
+  forEach    optional selector, the rule matches the items for which `where` holds
+  count      optional { op, value } the number of matching items has to satisfy,
+             defaults to at least one. Only valid with forEach
+  evidence   optional selector (or list of selectors) on each matching item used as the
+             evidence detail, defaults to the item's path
+
+Selectors are JSONPath style: device.details.standard.PasswordProtected,
+apps.details[*].Entitlements['get-task-allow'], pprofiles.details[0].Name. Inside forEach
+they are relative to the item, start them with $ to select from the top of the data.
+
+Conditions:
+
+  { path, op, value }            true when any selected value satisfies op
+  { count, where?, op, value }   number of values selected by count (that satisfy where)
+  { all: [...] }, { any: [...] }, { not: condition }
+
+Operators are ==, !=, <, <=, >, >=, in, contains, matches (regular expression) and exists.
+<, <=, > and >= compare strings lexically, '12.10' < '12.4', so they don't work on versions.
+*/
+
+const OPERATORS = ['==', '!=', '<', '<=', '>', '>=', 'in', 'contains', 'matches', 'exists'];
+const SEGMENT_REGEX = /^(?:\.?([A-Za-z_$][\w$-]*)|\[(\d+)\]|\[\*\]|\.\*|\['((?:[^'\\]|\\.)*)'\]|\["((?:[^"\\]|\\.)*)"\])/;
+
+function parseSelector (selector) {
+  // returns { root, segments } where each segment is a key, an index or '*'
+  if (typeof selector !== 'string' || selector === '') {
+    throw new Error('selector must be a non-empty string');
+  }
+  let rest = selector.trim();
+  let root = false;
+  if (rest.startsWith('$')) {
+    root = true;
+    rest = rest.slice(1);
+  }
+  const segments = [];
+  while (rest.length > 0) {
+    const match = SEGMENT_REGEX.exec(rest);
+    if (match === null) {
+      throw new Error('cannot parse selector ' + selector + ' at ' + rest);
+    }
+    if (match[1] !== undefined) {
+      segments.push({ 'key': match[1] });
+    } else if (match[2] !== undefined) {
+      segments.push({ 'index': Number(match[2]) });
+    } else if (match[3] !== undefined || match[4] !== undefined) {
+      segments.push({ 'key': (match[3] !== undefined ? match[3] : match[4]).replace(/\\(.)/g, '$1') });
+    } else {
+      segments.push({ 'wildcard': true });
+    }
+    rest = rest.slice(match[0].length);
+  }
+  return { 'root': root, 'segments': segments };
+}
+
+function formatKey (key) {
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? '.' + key : "['" + key.replace(/'/g, "\\'") + "']";
+}
+
+function select (parsed, scope) {
+  // returns [{ path, value }]. A missing key selects undefined so conditions like != still
+  // work, a wildcard over something that isn't an array or object selects nothing
+  let results = [{ 'path': scope.path, 'value': parsed.root ? scope.root : scope.value }];
+  if (parsed.root) {
+    results[0].path = '$';
+  }
+  parsed.segments.forEach(function (segment) {
+    const next = [];
+    results.forEach(function (result) {
+      const value = result.value;
+      if (segment.wildcard) {
+        if (Array.isArray(value)) {
+          value.forEach(function (item, index) {
+            next.push({ 'path': result.path + '[' + index + ']', 'value': item });
+          });
+        } else if (value !== null && typeof value === 'object') {
+          Object.keys(value).forEach(function (key) {
+            next.push({ 'path': result.path + formatKey(key), 'value': value[key] });
+          });
+        }
+      } else if (segment.index !== undefined) {
+        next.push({ 'path': result.path + '[' + segment.index + ']', 'value': Array.isArray(value) ? value[segment.index] : undefined });
+      } else {
+        const child = value !== null && typeof value === 'object' && Object.prototype.hasOwnProperty.call(value, segment.key) ? value[segment.key] : undefined;
+        next.push({ 'path': result.path + formatKey(segment.key), 'value': child });
+      }
+    });
+    results = next;
+  });
+  results.forEach(function (result) {
+    result.path = result.path.replace(/^\$?\./, '');
+  });
+  return results;
+}
+
+function equals (a, b) {
+  if (a === b) {
+    return true;
+  }
+  if (a !== null && b !== null && typeof a === 'object' && typeof b === 'object') {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+  return false;
+}
+
+function compare (actual, op, expected) {
+  switch (op) {
+    case '==':
+      return equals(actual, expected);
+    case '!=':
+      return !equals(actual, expected);
+    case '<':
+      return actual !== undefined && actual !== null && actual < expected;
+    case '<=':
+      return actual !== undefined && actual !== null && actual <= expected;
+    case '>':
+      return actual !== undefined && actual !== null && actual > expected;
+    case '>=':
+      return actual !== undefined && actual !== null && actual >= expected;
+    case 'in':
+      return Array.isArray(expected) && expected.some(function (item) { return equals(actual, item); });
+    case 'contains':
+      if (Array.isArray(actual)) {
+        return actual.some(function (item) { return equals(item, expected); });
+      }
+      return typeof actual === 'string' && actual.indexOf(expected) !== -1;
+    case 'matches':
+      return typeof actual === 'string' && expected.test(actual);
+    case 'exists':
+      return actual !== undefined && actual !== null;
+    default:
+      return false;
+  }
+}
+
+function compileCondition (condition, source) {
+  // conditions compile to function (scope) -> [{ path, value }] of what matched, an empty
+  // list meaning the condition is false
+  if (condition === null || typeof condition !== 'object') {
+    throw new Error('condition in ' + source + ' must be an object');
+  }
+  if (Array.isArray(condition.all) || Array.isArray(condition.any)) {
+    const all = Array.isArray(condition.all);
+    const parts = (all ? condition.all : condition.any).map(function (part) {
+      return compileCondition(part, source);
+    });
+    return function (scope) {
+      let matched = [];
+      for (let i = 0; i < parts.length; i++) {
+        const result = parts[i](scope);
+        if (all && result.length === 0) {
+          return [];
+        }
+        matched = matched.concat(result);
+      }
+      return matched;
+    };
+  }
+  if (condition.not !== undefined) {
+    const part = compileCondition(condition.not, source);
+    return function (scope) {
+      // a negated condition holds but has nothing to show as evidence
+      return part(scope).length === 0 ? [{ 'path': scope.path.replace(/^\$?\./, ''), 'value': scope.value, 'negated': true }] : [];
+    };
+  }
+
+  const op = condition.op || (condition.count !== undefined ? '>' : 'exists');
+  if (OPERATORS.indexOf(op) === -1) {
+    throw new Error('unknown operator ' + op + ' in ' + source);
+  }
+  let expected = condition.value;
+  if (op === 'matches') {
+    expected = new RegExp(condition.value);
+  } else if (op !== 'exists' && expected === undefined && condition.count === undefined) {
+    throw new Error('condition on ' + condition.path + ' in ' + source + ' has no value');
+  }
+
+  if (condition.count !== undefined) {
+    const counted = parseSelector(condition.count);
+    const where = condition.where !== undefined ? compileCondition(condition.where, source) : null;
+    return function (scope) {
+      const items = select(counted, scope).filter(function (item) {
+        return item.value !== undefined && (where === null || where(itemScope(scope, item)).length > 0);
+      });
+      return compare(items.length, op, expected === undefined ? 0 : expected) ? items : [];
+    };
+  }
+
+  const selector = parseSelector(condition.path);
+  return function (scope) {
+    return select(selector, scope).filter(function (item) {
+      return compare(item.value, op, expected);
+    });
+  };
+}
+
+function itemScope (scope, item) {
+  return { 'root': scope.root, 'path': item.path.startsWith('$') ? item.path : '$.' + item.path, 'value': item.value };
+}
+
+function detail (item, evidenceSelectors, scope) {
+  if (evidenceSelectors.length === 0) {
+    return item.path + (item.value !== null && typeof item.value === 'object' ? '' : ' = ' + JSON.stringify(item.value));
+  }
+  return evidenceSelectors.map(function (selector) {
+    return select(selector, itemScope(scope, item)).map(function (result) {
+      return typeof result.value === 'string' ? result.value : JSON.stringify(result.value);
+    }).join(', ');
+  }).join(' - ');
+}
+
+function compile (definition, source) {
+  if (definition.where === undefined) {
+    throw new Error('declarative rule ' + definition.id + ' in ' + source + ' has no where condition');
+  }
+  const where = compileCondition(definition.where, source);
+  const forEach = definition.forEach !== undefined ? parseSelector(definition.forEach) : null;
+  if (definition.count !== undefined && forEach === null) {
+    throw new Error('declarative rule ' + definition.id + ' in ' + source + ' has a count but no forEach to count');
+  }
+  const count = definition.count || { 'op': '>', 'value': 0 };
+  if (count === null || typeof count !== 'object' || OPERATORS.indexOf(count.op) === -1 || count.op === 'matches' || count.op === 'exists') {
+    throw new Error('count in declarative rule ' + definition.id + ' in ' + source + ' has an invalid operator ' + (count && count.op) + ', expected one of ==, !=, <, <=, >, >= or in');
+  }
+  if (typeof count.value !== 'number' && !(count.op === 'in' && Array.isArray(count.value))) {
+    throw new Error('count in declarative rule ' + definition.id + ' in ' + source + ' needs a numeric value');
+  }
+  const evidenceSelectors = [].concat(definition.evidence || []).map(parseSelector);
+
+  const rule = Object.assign({}, definition);
+  ['where', 'forEach', 'count', 'evidence'].forEach(function (key) {
+    delete rule[key];
+  });
+  rule.evaluate = function (data) {
+    const root = { 'root': data, 'path': '$', 'value': data };
+    let matches;
+    if (forEach !== null) {
+      matches = select(forEach, root).filter(function (item) {
+        return where(itemScope(root, item)).length > 0;
+      });
+    } else {
+      matches = where(root);
+    }
+    const matched = forEach !== null ? compare(matches.length, count.op, count.value) : matches.length > 0;
+    if (!matched) {
+      return null;
+    }
+    // the same value can match several parts of a condition, list it once
+    const seen = {};
+    return {
+      'evidence': {
+        'items': matches.filter(function (item) {
+          if (item.negated || seen[item.path]) {
+            return false;
+          }
+          seen[item.path] = true;
+          return true;
+        }).map(function (item) {
+          return { 'file': null, 'detail': detail(item, evidenceSelectors, root) };
+        })
+      }
+    };
+  };
+  return rule;
+}
+
+module.exports = {
+  OPERATORS: OPERATORS,
+  parseSelector: parseSelector,
+  select: select,
+  compile: compile
+};
@@ -0,0 +1,214 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const async = require('async');
+const logger = require('../logger.js');
+const datasets = require('../datasets.js');
+const declarative = require('./declarative.js');
+
+// an issue rule is a module exporting:
+//
+//   id            unique rule id, used by --enable-rule and --disable-rule
+//   title         issue title
+//   severity      issue level: high, medium or low
+//   category      device, apps, provisioning-profiles, configuration-profiles...
+//   description   what the issue means for the device owner
+//   remediation   what to do about it
+//   references    list of URLs with more details
+//   enabled       optional, false for rules that only run when enabled
+//   evaluate(data, context[, callback])
+//
+// evaluate gets the processed data from readProcessedJSON and a context of
+// { dir, options, logger }. It returns (or passes to callback) a falsy value when there is
+// no issue, true for one issue built from the rule, or an object or list of objects whose
+// title, level, description, remediation, evidence and references override the rule's.
+//
+// rules can also be written as JSON or YAML without any code, see declarative.js. A rule
+// file holds one rule or { "rules": [...] }
+//
+// built-in rules are listed here so the report keeps a stable issue order, rules from the
+// current data pack (see datapacks.js) and then user directories (--rules-dir) run after
+// them in file name order. Data packs are imported from elsewhere, so only their JSON and
+// YAML rules are loaded, a pack can't run code
+const BUILTIN_RULES = [
+  'passcode.yaml',
+  'ios-version.js',
+  'ios-end-of-support.js',
+  'ios-vulnerabilities.js',
+  'provisioning-profiles.js',
+  'stalkerware-permissions.js',
+  'ats-disabled.js',
+  'ats-insecure-http.js',
+  'private-entitlements.js',
+  'unused-provisioning-profiles.js',
+  'unmatched-sideloaded-apps.js',
+  'non-apple-signer.yaml',
+  'configuration-profiles.js',
+  'spyware-indicators.js',
+  'crash-reports.js',
+  'syslog-indicators.js'
+];
+const RULE_EXTENSIONS = ['.js', '.json', '.yaml', '.yml'];
+const DECLARATIVE_EXTENSIONS = ['.json', '.yaml', '.yml'];
+const REQUIRED_FIELDS = ['id', 'title', 'severity', 'category', 'description', 'remediation'];
+const SEVERITIES = ['high', 'medium', 'low'];
+
+function validate (rule, source) {
+  REQUIRED_FIELDS.forEach(function (field) {
+    if (typeof rule[field] !== 'string' || rule[field] === '') {
+      throw new Error('rule in ' + source + ' is missing ' + field);
+    }
+  });
+  if (SEVERITIES.indexOf(rule.severity) === -1) {
+    throw new Error('rule ' + rule.id + ' in ' + source + ' has unknown severity ' + rule.severity);
+  }
+  if (typeof rule.evaluate !== 'function') {
+    throw new Error('rule ' + rule.id + ' in ' + source + ' has no evaluate function');
+  }
+  return Object.assign({ 'references': [], 'enabled': true }, rule, { 'source': source });
+}
+
+function loadFile (file, source) {
+  if (path.extname(file) === '.js') {
+    return [validate(require(file), source)];
+  }
+  const contents = datasets.readFile(file);
+  const definitions = Array.isArray(contents.rules) ? contents.rules : [contents];
+  return definitions.map(function (definition) {
+    return validate(declarative.compile(definition, source), source);
+  });
+}
+
+function loadDir (dir, extensions) {
+  let rules = [];
+  fs.readdirSync(dir).filter(function (file) {
+    return (extensions || RULE_EXTENSIONS).indexOf(path.extname(file).toLowerCase()) !== -1;
+  }).sort().forEach(function (file) {
+    const source = path.join(dir, file);
+    rules = rules.concat(loadFile(source, source));
+  });
+  return rules;
+}
+
+function merge (rules, added) {
+  added.forEach(function (rule) {
+    // a pack or user rule with a built-in rule's id replaces it
+    const existing = rules.findIndex(function (loaded) { return loaded.id === rule.id; });
+    if (existing !== -1) {
+      logger.debug('rule %s from %s replaces the %s rule', rule.id, rule.source, rules[existing].source);
+      rules[existing] = rule;
+    } else {
+      rules.push(rule);
+    }
+  });
+  return rules;
+}
+
+function load (userDirs) {
+  let rules = [];
+  BUILTIN_RULES.forEach(function (file) {
+    rules = rules.concat(loadFile(path.join(__dirname, file), 'built-in'));
+  });
+  const pack = datasets.currentPack();
+  if (pack !== null && fs.existsSync(path.join(pack.dir, 'rules'))) {
+    rules = merge(rules, loadDir(path.join(pack.dir, 'rules'), DECLARATIVE_EXTENSIONS));
+  }
+  (userDirs || []).forEach(function (dir) {
+    rules = merge(rules, loadDir(path.resolve(dir)));
+  });
+  return rules;
+}
+
+function select (rules, enable, disable) {
+  // --enable-rule turns on rules that are off by default, --disable-rule wins over both
+  const ids = rules.map(function (rule) { return rule.id; });
+  (enable || []).concat(disable || []).forEach(function (id) {
+    if (ids.indexOf(id) === -1) {
+      logger.warn('unknown rule id %s', id);
+    }
+  });
+  rules.forEach(function (rule) {
+    if ((disable || []).indexOf(rule.id) !== -1) {
+      rule.enabled = false;
+    } else if ((enable || []).indexOf(rule.id) !== -1) {
+      rule.enabled = true;
+    }
+  });
+  return rules;
+}
+
+function toIssues (rule, result) {
+  if (!result) {
+    return [];
+  }
+  const results = Array.isArray(result) ? result.filter(Boolean) : [result === true ? {} : result];
+  return results.map(function (override) {
+    if (override === true) {
+      override = {};
+    } else if (typeof override !== 'object') {
+      throw new Error('rule returned ' + JSON.stringify(override) + ' instead of an issue object');
+    }
+    const issue = {
+      'title': override.title || rule.title,
+      'level': override.level || rule.severity,
+      'description': override.description || rule.description,
+      'remediation': override.remediation || rule.remediation
+    };
+    if (override.evidence) {
+      issue.evidence = override.evidence;
+    }
+    issue.rule = rule.id;
+    issue.category = rule.category;
+    issue.references = override.references || rule.references;
+    return issue;
+  });
+}
+
+function evaluate (rules, data, context, callback) {
+  // rules run one at a time in order. A rule that throws or fails is logged and skipped so
+  // one broken rule doesn't cost the rest of the issues
+  async.mapSeries(rules.filter(function (rule) {
+    return rule.enabled;
+  }), function (rule, callback) {
+    let called = false;
+    const done = function (err, result) {
+      if (called) {
+        return;
+      }
+      called = true;
+      let issues = [];
+      try {
+        if (err) {
+          throw err;
+        }
+        issues = toIssues(rule, result);
+      } catch (err) {
+        logger.warn('rule %s failed: %s', rule.id, err.message || err);
+      }
+      callback(null, issues);
+    };
+    let result;
+    try {
+      if (rule.evaluate.length >= 3) {
+        return rule.evaluate(data, context, done);
+      }
+      result = rule.evaluate(data, context);
+    } catch (err) {
+      return done(err);
+    }
+    done(null, result);
+  }, function (err, results) {
+    callback(err, [].concat.apply([], results || []));
+  });
+}
+
+module.exports = {
+  BUILTIN_RULES: BUILTIN_RULES,
+  DECLARATIVE_EXTENSIONS: DECLARATIVE_EXTENSIONS,
+  SEVERITIES: SEVERITIES,
+  load: load,
+  loadDir: loadDir,
+  select: select,
+  evaluate: evaluate
+};
@@ -0,0 +1,30 @@
+'use strict';
+
+// hardware that can't run the current major iOS version. Apple ships some security fixes
+// for the previous major version, older ones rarely get any
+
+const iOSversions = require('../ios-versions.js');
+
+module.exports = {
+  id: 'ios-end-of-support',
+  title: 'End of support hardware',
+  severity: 'high',
+  category: 'device',
+  description: 'This device cannot be updated to the current major version of iOS. Apple fixes only some security flaws in older iOS versions, and stops patching them altogether a few years after a device is dropped, so known flaws can be left open on this device.',
+  remediation: 'Install the last iOS version available for this device and plan to replace it with a device that supports the current iOS version, especially if it holds sensitive data or its owner may be targeted.',
+  references: ['https://support.apple.com/en-us/HT201222'],
+  evaluate: function (data) {
+    const standard = data.device.details.standard;
+    const status = iOSversions.evaluate(standard.ProductType, standard.ProductVersion);
+    if (!status.endOfSupport) {
+      return null;
+    }
+    return {
+      // one major version behind still gets security updates for a while
+      'level': status.device.major === status.latest.major - 1 ? 'medium' : 'high',
+      'evidence': {
+        'items': [{ 'file': null, 'detail': status.device.name + ' (' + standard.ProductType + ') supports up to iOS ' + status.target.version + ', current release is ' + status.latest.version + ' (' + status.latest.build + ') as of ' + status.databaseDate }]
+      }
+    };
+  }
+};
@@ -0,0 +1,42 @@
+'use strict';
+
+// devices running an older iOS version than the newest release they can install, see
+// ios-versions.js and data/ios-versions.json
+
+const iOSversions = require('../ios-versions.js');
+
+module.exports = {
+  id: 'ios-version',
+  title: 'iOS update available',
+  severity: 'high',
+  category: 'device',
+  description: 'This device is not running the latest version of iOS it supports. Apple regularly patches security flaws in iOS and the flaws are publicly acknowledged. Attackers can leverage this information to compromise your device and data.',
+  remediation: 'Update your device to the latest available version immediately.',
+  references: ['https://support.apple.com/en-us/HT201222'],
+  evaluate: function (data) {
+    const standard = data.device.details.standard;
+    const status = iOSversions.evaluate(standard.ProductType, standard.ProductVersion);
+    if (status.newerThanDatabase) {
+      // passing silently would hide that the version checks couldn't be done
+      return {
+        'title': 'iOS version data is out of date',
+        'level': 'low',
+        'description': 'This device runs iOS ' + standard.ProductVersion + ', which is newer than the latest release in the iOS version data (' + status.latest.version + ' as of ' + status.databaseDate + '). Whether an update is available, end of support and known vulnerabilities could not be checked reliably.',
+        'remediation': 'Update data/ios-versions.json and data/ios-cves.json, or import a newer data pack with `ios-triage update-data`, then process the extraction again.',
+        'evidence': {
+          'items': [{ 'file': null, 'detail': (status.device ? status.device.name + ' (' + standard.ProductType + ')' : standard.ProductType + ', a model missing from the version data,') + ' runs ' + standard.ProductVersion + ' (' + standard.BuildVersion + '), the version data ends at ' + status.latest.version + ' (' + status.latest.build + ') as of ' + status.databaseDate }]
+        }
+      };
+    }
+    if (!status.updateAvailable) {
+      return null;
+    }
+    return {
+      'description': module.exports.description + ' This device runs iOS ' + standard.ProductVersion + ' and can be updated to ' + status.target.version + ' (' + status.target.build + ').',
+      'remediation': 'Update your device to iOS ' + status.target.version + ' (' + status.target.build + ') immediately from Settings > General > Software Update.',
+      'evidence': {
+        'items': [{ 'file': null, 'detail': (status.device ? status.device.name + ' (' + standard.ProductType + ')' : standard.ProductType) + ' runs ' + standard.ProductVersion + ' (' + standard.BuildVersion + '), latest for this device is ' + status.target.version + ' (' + status.target.build + ') as of ' + status.databaseDate }]
+      }
+    };
+  }
+};
@@ -0,0 +1,85 @@
+'use strict';
+
+// CVEs from data/ios-cves.json the device's iOS version and build don't fix. The bundled
+// list only holds CVEs Apple and CISA report as exploited against iOS, it is not every CVE
+// affecting the version. The level follows the worst exploitation status among them, so
+// entries added with a public-exploit or none status raise a lower level issue
+
+const iOSversions = require('../ios-versions.js');
+
+// exploitation status -> issue level, most severe first
+const EXPLOITATION_LEVELS = [
+  { 'exploitation': 'in-the-wild', 'level': 'high', 'label': 'exploited in the wild' },
+  { 'exploitation': 'public-exploit', 'level': 'medium', 'label': 'public exploit available' },
+  { 'exploitation': 'none', 'level': 'low', 'label': 'no known exploitation' }
+];
+// actively exploited CVEs named in the issue description
+const NOTABLE_CVES = 5;
+
+function exploitationStatus (vulnerability) {
+  return EXPLOITATION_LEVELS.find(function (status) {
+    return status.exploitation === vulnerability.exploitation;
+  }) || EXPLOITATION_LEVELS[EXPLOITATION_LEVELS.length - 1];
+}
+
+module.exports = {
+  id: 'ios-vulnerabilities',
+  title: 'Known exploited vulnerabilities in this iOS version',
+  severity: 'high',
+  category: 'device',
+  description: 'Vulnerabilities known to be exploited against iPhones affect the iOS version on this device.',
+  remediation: 'Update your device to the latest iOS version it supports.',
+  references: ['https://support.apple.com/en-us/HT201222', 'https://www.cisa.gov/known-exploited-vulnerabilities-catalog'],
+  evaluate: function (data) {
+    const standard = data.device.details.standard;
+    const vulnerabilities = iOSversions.findVulnerabilities(standard.ProductVersion, standard.BuildVersion);
+    if (vulnerabilities.length === 0) {
+      return null;
+    }
+    const exploited = vulnerabilities.filter(function (vulnerability) {
+      return vulnerability.exploitation === 'in-the-wild';
+    });
+    const worst = EXPLOITATION_LEVELS.find(function (status) {
+      return vulnerabilities.some(function (vulnerability) {
+        return exploitationStatus(vulnerability) === status;
+      });
+    });
+
+    // only claim "known exploited" when every CVE found is, entries added to the data may not be
+    const allExploited = exploited.length === vulnerabilities.length;
+    const version = 'iOS ' + standard.ProductVersion + ' (' + standard.BuildVersion + ')';
+    let description = allExploited
+      ? exploited.length + ' known exploited CVEs affect ' + version + '.'
+      : vulnerabilities.length + ' CVEs from the vulnerability data affect ' + version + '.';
+    if (exploited.length > 0) {
+      // newest first, those are the ones attackers are most likely still using
+      const notable = exploited.slice().sort(function (a, b) {
+        const left = a.cve.split('-').map(Number);
+        const right = b.cve.split('-').map(Number);
+        return (right[1] - left[1]) || (right[2] - left[2]);
+      }).slice(0, NOTABLE_CVES).map(function (vulnerability) {
+        return vulnerability.cve + ' (' + vulnerability.component + (vulnerability.campaign ? ', ' + vulnerability.campaign : '') + ')';
+      });
+      description += ' ' + (allExploited ? 'All of them have' : exploited.length + ' of them have') + ' been exploited in the wild to compromise iPhones, including ' + notable.join(', ') + '. Attackers already have working exploits for these flaws, and flaws like them have been used by commercial spyware in targeted attacks, some needing no interaction from the device owner.';
+    } else {
+      description += ' None of them are known to be exploited in the wild, but the details are public and attackers can use them to build exploits.';
+    }
+
+    return {
+      'title': allExploited
+        ? 'Known exploited CVEs in this iOS version (' + exploited.length + ')'
+        : 'Known CVEs in this iOS version (' + vulnerabilities.length + ', ' + exploited.length + ' exploited)',
+      'level': worst.level,
+      'description': description,
+      'remediation': 'Update your device to the latest iOS version it supports, each of these CVEs is fixed in the version listed next to it. If the device cannot be updated past the fixes, replace it.',
+      'evidence': {
+        'items': vulnerabilities.map(function (vulnerability) {
+          return {
+            'file': null,
+            'detail': vulnerability.cve + ' ' + vulnerability.component + ', fixed in ' + vulnerability.fixedIn.join(' and ') + (vulnerability.fixedInBuilds ? ' and build ' + vulnerability.fixedInBuilds.join(', ') : '') + ', ' + exploitationStatus(vulnerability).label + (vulnerability.campaign ? ' (' + vulnerability.campaign + ')' : '')
+          };
+        })
+      }
+    };
+  }
+};
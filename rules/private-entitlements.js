@@ -0,0 +1,45 @@
+'use strict';
+
+// third party apps should never hold entitlements reserved for Apple's own software. Apple's
+// apps are told apart by what Apple signed, not by the bundle ID or the team identifier in
+// the app's own entitlements since a fake-signed app sets those itself
+
+function isAppleSignedApp (app) {
+  // system apps ship with iOS, App Store apps are re-signed by Apple
+  return app.ApplicationType === 'System' || app.SignerIdentity === 'Apple iPhone OS Application Signing';
+}
+
+module.exports = {
+  id: 'private-entitlements',
+  title: 'Third-party apps with private Apple entitlements',
+  severity: 'high',
+  category: 'apps',
+  description: 'These apps were not installed by Apple but hold entitlements that Apple reserves for its own software, such as running outside the sandbox or reading other processes\' memory. Apple does not grant these to App Store or enterprise developers, so the apps were most likely signed through a jailbreak or a code signing bypass.',
+  remediation: 'Remove the apps and investigate the device for a jailbreak. Restore the device with the latest iOS version if the source of the apps is unknown.',
+  references: [],
+  evaluate: function (data) {
+    const privateEntitlementApps = data.apps.details.filter(function (app) {
+      const analysis = (data.apps.analysis || {})[app.CFBundleIdentifier];
+      return !isAppleSignedApp(app) && analysis && analysis.entitlementRisk &&
+        analysis.entitlementRisk.entitlements.some(function (item) { return item.private; });
+    });
+    if (privateEntitlementApps.length === 0) {
+      return null;
+    }
+    return {
+      'evidence': {
+        'items': privateEntitlementApps.map(function (app) {
+          const entitlementRisk = data.apps.analysis[app.CFBundleIdentifier].entitlementRisk;
+          return {
+            'file': null,
+            'detail': app.CFBundleIdentifier + ' (score ' + entitlementRisk.score + '): ' + entitlementRisk.entitlements.filter(function (item) {
+              return item.private;
+            }).map(function (item) {
+              return item.entitlement;
+            }).join(', ')
+          };
+        })
+      }
+    };
+  }
+};
@@ -0,0 +1,33 @@
+'use strict';
+
+// one issue per provisioning profile, graded by how it could be abused (see pprofile-parser.js)
+
+module.exports = {
+  id: 'provisioning-profiles',
+  title: 'Provisioning profile found',
+  severity: 'medium',
+  category: 'provisioning-profiles',
+  description: 'Installed provisioning profiles allow apps that did not go through App Store review to run on the device. An attacker with physical access could push an app onto your device with significant privileges.',
+  remediation: 'Confirm the profile belongs to a developer or organization you trust. If not, remove it and any apps signed with it from Settings > General > Profiles & Device Management.',
+  references: [],
+  evaluate: function (data) {
+    const rule = module.exports;
+    return data.pprofiles.details.map(function (pprofile) {
+      if (!pprofile.analysis) {
+        return {
+          'title': 'Provisioning profile could not be read',
+          'level': 'medium',
+          'description': pprofile.AppIDName + '. Install provisioning profiles can create situations for abuse and this one could not be inspected.',
+          'remediation': 'Inspect the provisioning profile on the device to ensure it is legitimate.'
+        };
+      }
+      const analysis = pprofile.analysis;
+      return {
+        'title': 'Provisioning profile found: ' + pprofile.Name + ' (' + analysis.type + ', ' + (pprofile.TeamName || analysis.teamIdentifier) + ')',
+        'level': analysis.risk,
+        'description': rule.description + ' ' +
+          (analysis.reasons.length > 0 ? 'This profile: ' + analysis.reasons.join('; ') + '.' : 'This profile has no additional risk indicators.')
+      };
+    });
+  }
+};
@@ -0,0 +1,126 @@
+'use strict';
+
+/*
+Known stalkerware and commercial spyware indicators (data/ioc.json plus --ioc-db). Raises
+one issue per malware family that matched.
+*/
+
+const ioc = require('../ioc.js');
+const profileParser = require('../profile-parser.js');
+
+function evaluate (data, context) {
+  // match apps, provisioning profiles, configuration profiles, syslog and crash report
+  // processes against the stalkerware and spyware indicator database
+  const indicators = ioc.load(context.options.iocDb);
+  const hits = {};
+  const check = function (list, value, item) {
+    ioc.match(indicators, list, value).forEach(function (indicator) {
+      if (!(indicator.name in hits)) {
+        hits[indicator.name] = { 'indicator': indicator, 'items': [] };
+      }
+      hits[indicator.name].items.push(item);
+    });
+  };
+
+  data.apps.details.forEach(function (app) {
+    const bundleId = app.CFBundleIdentifier;
+    const entitlements = app.Entitlements || {};
+    const appId = entitlements['application-identifier'] || '';
+    const teamId = entitlements['com.apple.developer.team-identifier'] || (appId.indexOf('.') !== -1 ? appId.split('.')[0] : null);
+    check('bundleIds', bundleId, { 'file': null, 'detail': 'app ' + bundleId });
+    check('teamIds', teamId, { 'file': null, 'detail': 'app ' + bundleId + ' team ' + teamId });
+    check('signers', app.SignerIdentity, { 'file': null, 'detail': 'app ' + bundleId + ' signed by ' + app.SignerIdentity });
+    const analysis = (data.apps.analysis || {})[bundleId];
+    if (analysis && analysis.ats) {
+      analysis.ats.exceptionDomains.forEach(function (exception) {
+        check('domains', exception.domain, { 'file': null, 'detail': 'app ' + bundleId + ' ATS exception for ' + exception.domain });
+      });
+    }
+  });
+
+  data.pprofiles.details.filter(function (pprofile) {
+    return pprofile.analysis;
+  }).forEach(function (pprofile) {
+    const name = 'provisioning profile ' + pprofile.Name + ' (' + pprofile.UUID + ')';
+    const appId = pprofile.analysis.applicationIdentifier || '';
+    check('teamIds', pprofile.analysis.teamIdentifier, { 'file': null, 'detail': name + ' team ' + pprofile.analysis.teamIdentifier });
+    check('signers', pprofile.TeamName, { 'file': null, 'detail': name + ' team name ' + pprofile.TeamName });
+    pprofile.analysis.certificates.forEach(function (certificate) {
+      check('signers', certificate.commonName, { 'file': null, 'detail': name + ' certificate ' + certificate.commonName });
+    });
+    if (!pprofile.analysis.wildcardAppId && appId.indexOf('.') !== -1) {
+      const bundleId = appId.slice(appId.indexOf('.') + 1);
+      check('bundleIds', bundleId, { 'file': null, 'detail': name + ' app ID ' + bundleId });
+    }
+  });
+
+  if (data.profiles && data.profiles.details) {
+    data.profiles.details.forEach(function (profile) {
+      const name = 'configuration profile ' + (profile.displayName || profile.identifier);
+      profile.mdm.forEach(function (mdm) {
+        check('domains', profileParser.hostFromURL(mdm.serverURL), { 'file': null, 'detail': name + ' MDM server ' + mdm.serverURL });
+      });
+      profile.proxies.forEach(function (proxy) {
+        const host = proxy.server || profileParser.hostFromURL(proxy.pacURL);
+        check('domains', host, { 'file': null, 'detail': name + ' proxy ' + host });
+      });
+    });
+  }
+
+  if (data.syslog && data.syslog.processes) {
+    Object.keys(data.syslog.processes).forEach(function (processName) {
+      check('processes', processName, { 'file': 'artifacts/syslog.txt', 'detail': 'process ' + processName + ' logged ' + data.syslog.processes[processName] + ' messages' });
+    });
+  }
+
+  if (data.crashreports && data.crashreports.details) {
+    data.crashreports.details.forEach(function (fileDetails) {
+      const file = 'artifacts/crash_reports/' + fileDetails.filename;
+      const processes = [];
+      if (fileDetails.crash) {
+        processes.push(fileDetails.crash.process);
+        check('bundleIds', fileDetails.crash.bundleId, { 'file': file, 'detail': 'crash of ' + fileDetails.crash.bundleId });
+      }
+      if (fileDetails.jetsam) {
+        processes.push(fileDetails.jetsam.largestProcess);
+        fileDetails.jetsam.topProcesses.concat(fileDetails.jetsam.killed).forEach(function (proc) {
+          processes.push(proc.name);
+        });
+      }
+      if (fileDetails.securityLog) {
+        fileDetails.securityLog.events.forEach(function (event) {
+          processes.push(event.process);
+        });
+      }
+      // a process is often listed more than once in the same report
+      processes.filter(function (processName, index) {
+        return processes.indexOf(processName) === index;
+      }).forEach(function (processName) {
+        check('processes', processName, { 'file': file, 'detail': 'process ' + processName });
+      });
+    });
+  }
+
+  return Object.keys(hits).map(function (name) {
+    const indicator = hits[name].indicator;
+    let issueDetails = {};
+    issueDetails.title = 'Known ' + (indicator.type || 'spyware') + ' indicators found: ' + name;
+    issueDetails.level = 'high';
+    issueDetails.description = 'Apps, profiles or processes on this device match indicators of compromise for ' + name + ' from the indicator database.' +
+      (indicator.reference ? ' See ' + indicator.reference + ' for details.' : '');
+    issueDetails.remediation = 'Treat the device as compromised. Preserve the extraction for a full forensic investigation, move sensitive communication to a clean device and seek help from a digital security helpline before removing anything, since the operator may be alerted.';
+    issueDetails.evidence = { 'items': hits[name].items };
+    return issueDetails;
+  });
+}
+
+module.exports = {
+  id: 'spyware-indicators',
+  title: 'Known spyware indicators found',
+  severity: 'high',
+  category: 'indicators',
+  description: 'Apps, profiles or processes on this device match indicators of compromise from the indicator database.',
+  remediation: 'Treat the device as compromised and preserve the extraction for a full forensic investigation.',
+  references: ['https://www.amnesty.org/en/latest/research/2021/07/forensic-methodology-report-how-to-catch-nso-groups-pegasus/'],
+  evaluate: evaluate
+};
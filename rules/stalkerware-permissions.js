@@ -0,0 +1,29 @@
+'use strict';
+
+// permission combinations that let an app follow and listen to the user in the background,
+// see the combinations in data/permissions.json
+
+module.exports = {
+  id: 'stalkerware-permissions',
+  title: 'Apps with stalkerware permission combinations',
+  severity: 'medium',
+  category: 'apps',
+  description: 'These apps declare combinations of privacy permissions and background modes that let them track location and record the user while running in the background. Legitimate apps (family locators, fitness and call apps) can need them, but this is also how stalkerware is built.',
+  remediation: 'Confirm the user installed the apps and knows what they do. Review the permissions granted in Settings > Privacy and remove any app the user does not recognize.',
+  references: [],
+  evaluate: function (data) {
+    const stalkerwareApps = ((data.apps.permissions || {}).matrix || []).filter(function (row) {
+      return row.type !== 'System' && row.combinations.length > 0;
+    });
+    if (stalkerwareApps.length === 0) {
+      return null;
+    }
+    return {
+      'evidence': {
+        'items': stalkerwareApps.map(function (row) {
+          return { 'file': null, 'detail': row.bundleId + ': ' + row.combinations.join('; ') };
+        })
+      }
+    };
+  }
+};
@@ -0,0 +1,131 @@
+'use strict';
+
+/*
+Syslog indicator rules (data/syslog-rules.json plus --syslog-rules). The syslog can be
+days long so it is streamed rather than read from processed/syslog.json, one issue per
+syslog rule that matched.
+*/
+
+const fs = require('fs');
+const path = require('path');
+const split = require('split');
+const logger = require('../logger.js');
+const datasets = require('../datasets.js');
+const syslogParser = require('../syslog-parser.js');
+
+// matching lines kept as evidence for each syslog indicator issue
+const MAX_EVIDENCE_LINES = 50;
+
+function evaluate (data, context, callback) {
+  const syslogFile = path.join(context.dir, 'artifacts', 'syslog.txt');
+
+  let rules = [];
+  try {
+    rules = loadSyslogRules(context.options.syslogRules);
+  } catch (err) {
+    return callback(new Error('could not load syslog rules: ' + err.message));
+  }
+
+  let lineNumber = 0;
+  // continuation lines belong to the record above them
+  let record = null;
+  fs.createReadStream(syslogFile)
+    .on('error', callback)
+    .pipe(split())
+    .on('data', function (line) {
+      lineNumber++;
+      const parsed = syslogParser.parseLine(line);
+      if (parsed !== null) {
+        record = parsed;
+      }
+      rules.forEach(function (rule) {
+        if (syslogRuleMatches(rule, record, line)) {
+          rule.matches++;
+          if (rule.lines.length < MAX_EVIDENCE_LINES) {
+            rule.lines.push({ 'line': lineNumber, 'text': line });
+          }
+        }
+      });
+    })
+    .on('end', function () {
+      const syslogIssues = [];
+      rules.forEach(function (rule) {
+        if (rule.matches > 0) {
+          let issueDetails = {};
+          issueDetails.title = rule.rule.title;
+          issueDetails.level = rule.rule.severity;
+          issueDetails.description = rule.rule.description;
+          issueDetails.remediation = rule.rule.remediation;
+          issueDetails.evidence = {
+            'file': 'artifacts/syslog.txt',
+            'matches': rule.matches,
+            'lines': rule.lines
+          };
+          syslogIssues.push(issueDetails);
+        }
+      });
+      callback(null, syslogIssues);
+    });
+}
+
+function loadSyslogRules (userRulesFile) {
+  // bundled rules in data/syslog-rules.json plus an optional user file in the same
+  // format. A user rule with the same id replaces the bundled one
+  const rules = datasets.load('syslog-rules.json').rules;
+  if (userRulesFile) {
+    datasets.readFile(userRulesFile).rules.forEach(function (userRule) {
+      const existing = rules.findIndex(function (rule) {
+        return rule.id === userRule.id;
+      });
+      if (existing !== -1) {
+        rules[existing] = userRule;
+      } else {
+        rules.push(userRule);
+      }
+    });
+  }
+
+  const compiled = [];
+  rules.forEach(function (rule) {
+    try {
+      compiled.push({
+        'rule': rule,
+        'processes': (rule.processes || []).map(function (processName) {
+          return processName.toLowerCase();
+        }),
+        'patterns': (rule.patterns || []).map(function (pattern) {
+          return new RegExp(pattern, rule.flags || '');
+        }),
+        'matches': 0,
+        'lines': []
+      });
+    } catch (err) {
+      logger.warn('skipping syslog rule %s, invalid pattern: %s', rule.id, err.message);
+    }
+  });
+  return compiled;
+}
+
+function syslogRuleMatches (rule, record, line) {
+  // a rule with processes and patterns needs both to match, otherwise either one
+  const processMatch = rule.processes.length > 0 && record !== null &&
+    rule.processes.indexOf(record.process.toLowerCase()) !== -1;
+  const patternMatch = rule.patterns.some(function (pattern) {
+    return pattern.test(line);
+  });
+  if (rule.processes.length > 0 && rule.patterns.length > 0) {
+    return processMatch && patternMatch;
+  }
+  return processMatch || patternMatch;
+}
+
+module.exports = {
+  id: 'syslog-indicators',
+  title: 'Syslog indicators',
+  severity: 'medium',
+  category: 'syslog',
+  description: 'The syslog has messages matching indicator rules.',
+  remediation: 'Review the matching syslog lines.',
+  references: [],
+  evaluate: evaluate
+};
@@ -0,0 +1,28 @@
+'use strict';
+
+// sideloaded apps that no installed provisioning profile covers
+
+module.exports = {
+  id: 'unmatched-sideloaded-apps',
+  title: 'Sideloaded apps without a matching provisioning profile',
+  severity: 'high',
+  category: 'apps',
+  description: 'These apps are not signed by the App Store and no installed provisioning profile covers them. iOS needs a profile to launch such apps, so they may be running through a jailbreak, a signing bypass or a profile that was removed after the app was installed.',
+  remediation: 'Find out how the apps were installed. If they are not known developer or enterprise apps, remove them and investigate the device for a jailbreak.',
+  references: [],
+  evaluate: function (data) {
+    const unmatchedApps = Object.keys(data.apps.analysis || {}).filter(function (bundleId) {
+      return data.apps.analysis[bundleId].provisioningProfile === null;
+    });
+    if (unmatchedApps.length === 0) {
+      return null;
+    }
+    return {
+      'evidence': {
+        'items': unmatchedApps.map(function (bundleId) {
+          return { 'file': null, 'detail': bundleId };
+        })
+      }
+    };
+  }
+};
@@ -0,0 +1,28 @@
+'use strict';
+
+// provisioning profiles that correlateProvisioningProfiles couldn't match to an installed app
+
+module.exports = {
+  id: 'unused-provisioning-profiles',
+  title: 'Provisioning profiles that sign no installed app',
+  severity: 'low',
+  category: 'provisioning-profiles',
+  description: 'These provisioning profiles do not match any installed app. They may be left over from removed apps, or installed ahead of an app that has not been pushed to the device yet.',
+  remediation: 'Remove provisioning profiles that are no longer needed.',
+  references: [],
+  evaluate: function (data) {
+    const unusedProfiles = data.pprofiles.details.filter(function (pprofile) {
+      return pprofile.analysis && pprofile.analysis.signedApps && pprofile.analysis.signedApps.length === 0;
+    });
+    if (unusedProfiles.length === 0) {
+      return null;
+    }
+    return {
+      'evidence': {
+        'items': unusedProfiles.map(function (pprofile) {
+          return { 'file': null, 'detail': pprofile.Name + ' (' + pprofile.UUID + ', ' + pprofile.analysis.type + ')' };
+        })
+      }
+    };
+  }
+};
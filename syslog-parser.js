@@ -0,0 +1,32 @@
+'use strict';
+
+/*
+Parses lines of idevicesyslog output into records. Used when processing the syslog and
+again when scanning it for indicators.
+*/
+
+// timestamp, device name, process(subsystem)[pid] <level>: message
+const LINE_REGEX = /^([A-Z][a-z]{2} +\d{1,2} \d{2}:\d{2}:\d{2}(?:\.\d+)?) (\S+) (.+?)(?:\(([^()]*)\))?\[(\d+)\](?: <([^>]+)>)?: ?(.*)$/;
+
+function parseLine (line) {
+  // idevicesyslog lines look like (fractional seconds on newer iOS versions):
+  // Oct 19 10:23:45.123456 Andrews-iPhone backboardd(CoreBrightness)[67] <Notice>: message
+  const match = LINE_REGEX.exec(line);
+  if (match === null) {
+    return null;
+  }
+  return {
+    'timestamp': match[1],
+    'device': match[2],
+    'process': match[3],
+    'subsystem': match[4] || null,
+    'pid': Number(match[5]),
+    'level': match[6] || 'Unknown',
+    'message': match[7]
+  };
+}
+
+module.exports = {
+  LINE_REGEX: LINE_REGEX,
+  parseLine: parseLine
+};